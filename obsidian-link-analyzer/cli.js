@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Link report for a vault folder on disk, for scripts and pre-commit hooks:
+//
+//     node cli.js [vault folder] [--paths folder1/,note1] [--sort incomingCount] [--sortOrder asc]
+//                 [--excludeCol outgoing,incoming] [--fileType all] [--showStats]
+//                 [--format table|stats|json] [--failOn orphans,unresolved]
+//
+// Every code block parameter can be given as '--parameter value'. The defaults come from the plugin's settings
+// in the vault, if it is installed there. Exits with 1 when a --failOn condition is met and with 2 on invalid
+// arguments or errors.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const { LinkAnalysisCore, Diagnostics, DEFAULT_SETTINGS, EXPORTABLE_MODES } = require('./main');
+const { createInMemoryApp } = require('./headless');
+
+const OUTPUT_FORMATS = ['table', 'stats', 'json'];
+
+// Code block parameters that are switched on by the option alone
+const BOOLEAN_OPTIONS = ['showStats', 'undirected', 'showAliases', 'help'];
+
+// Conditions for --failOn, each listing the notes or links it found; they are checked against all analyzed notes,
+// whatever the fileType of the report
+const FAIL_CONDITIONS = {
+    orphans: {
+        describe: count => `${count} ${count === 1 ? 'note' : 'notes'} without links`,
+        find: (core, linkData) => Array.from(linkData).filter(([, data]) => core.getLinkCategory(data) === 'noLinks').map(([notePath]) => notePath)
+    },
+    noIncoming: {
+        describe: count => `${count} ${count === 1 ? 'note' : 'notes'} without incoming links`,
+        find: (core, linkData) => Array.from(linkData).filter(([, data]) => data.incoming.size === 0).map(([notePath]) => notePath)
+    },
+    noOutgoing: {
+        describe: count => `${count} ${count === 1 ? 'note' : 'notes'} without outgoing links`,
+        find: (core, linkData) => Array.from(linkData).filter(([, data]) => data.outgoing.size === 0).map(([notePath]) => notePath)
+    },
+    unresolved: {
+        describe: count => `${count} ${count === 1 ? 'link' : 'links'} to missing notes`,
+        find: (core, linkData) => Array.from(linkData).flatMap(([notePath, data]) => Array.from(data.unresolved, link => `${notePath} → ${link}`))
+    }
+};
+
+const USAGE = `Usage: node cli.js [vault folder] [options]
+
+Options:
+  --paths <list>          Notes and folders to analyze, as in the 'paths' parameter
+  --sort <column>         Column to sort by
+  --sortOrder <order>     asc or desc
+  --excludeCol <list>     Columns to leave out
+  --fileType <type>       Notes to list, such as all or noLinks
+  --showStats             Add the statistics to the table
+  --<parameter> <value>   Any other code block parameter, such as --mode unresolved
+  --format <format>       ${OUTPUT_FORMATS.join(', ')} (default: table)
+  --failOn <list>         Exit with 1 if any are found: ${Object.keys(FAIL_CONDITIONS).join(', ')}
+  --help                  Show this help
+`;
+
+
+
+
+
+
+
+
+
+
+
+// * Reading the vault
+
+// '--name value', '--name=value', and '--name' alone for switches
+function parseArguments(args) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([^=]+)(?:=(.*))?$/);
+
+        if (!match) {
+            positional.push(args[i]);
+        } else if (match[2] !== undefined) {
+            options[match[1]] = match[2];
+        } else if (BOOLEAN_OPTIONS.includes(match[1]) || i + 1 >= args.length || args[i + 1].startsWith('--')) {
+            options[match[1]] = 'true';
+        } else {
+            options[match[1]] = args[++i];
+        }
+    }
+
+    return { options, positional };
+}
+
+
+// Notes and canvases are read; other files are added without content, so links to attachments resolve
+async function readVaultFiles(vaultPath) {
+    const files = {};
+
+    const readFolder = async folder => {
+        for (const entry of await fs.readdir(path.join(vaultPath, folder), { withFileTypes: true })) {
+            // Hidden folders such as .obsidian, .git and .trash are not part of the vault's notes
+            if (entry.name.startsWith('.')) {
+                continue;
+            }
+
+            const filePath = folder ? `${folder}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                await readFolder(filePath);
+            } else if (entry.isFile()) {
+                const stat = await fs.stat(path.join(vaultPath, filePath));
+                const content = /\.(md|canvas)$/.test(entry.name) ? await fs.readFile(path.join(vaultPath, filePath), 'utf8') : '';
+                files[filePath] = { content, ctime: stat.birthtimeMs || stat.ctimeMs, mtime: stat.mtimeMs };
+            }
+        }
+    };
+
+    await readFolder('');
+    return files;
+}
+
+
+// The settings saved by the plugin in this vault, or the defaults if it is not installed there
+async function readSettings(vaultPath) {
+    try {
+        const data = JSON.parse(await fs.readFile(path.join(vaultPath, '.obsidian', 'plugins', 'obsidian-link-analyzer', 'data.json'), 'utf8'));
+        return Object.assign({}, DEFAULT_SETTINGS, data?.settings);
+
+    } catch (error) {
+        return Object.assign({}, DEFAULT_SETTINGS);
+    }
+}
+
+
+
+
+
+
+
+
+
+
+
+// * Running the report
+
+function printDiagnostics(diagnostics) {
+    for (const { key, message, allowed } of diagnostics.getSortedProblems()) {
+        console.error(`${key ? `--${key}: ` : ''}${message}`);
+
+        if (allowed && allowed.length > 0) {
+            console.error(`  Allowed: ${allowed.join(', ')}`);
+        }
+    }
+}
+
+
+async function main(args) {
+    const { options, positional } = parseArguments(args);
+    const { format = 'table', failOn = '', help = false, ...paramOptions } = options;
+
+    if (help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const failConditions = failOn.split(',').map(condition => condition.trim()).filter(condition => condition);
+    const unknownConditions = failConditions.filter(condition => !FAIL_CONDITIONS[condition]);
+
+    if (!OUTPUT_FORMATS.includes(format) || unknownConditions.length > 0 || positional.length > 1) {
+        if (!OUTPUT_FORMATS.includes(format)) console.error(`--format: Invalid value '${format}'.\n  Allowed: ${OUTPUT_FORMATS.join(', ')}`);
+        if (unknownConditions.length > 0) console.error(`--failOn: Invalid value '${unknownConditions.join(', ')}'.\n  Allowed: ${Object.keys(FAIL_CONDITIONS).join(', ')}`);
+        if (positional.length > 1) console.error(`Only one vault folder can be analyzed, got: ${positional.join(', ')}`);
+        process.stderr.write(`\n${USAGE}`);
+        return 2;
+    }
+
+    const vaultPath = path.resolve(positional[0] || '.');
+    const startTime = Date.now();
+
+    const core = new LinkAnalysisCore(createInMemoryApp(await readVaultFiles(vaultPath)), await readSettings(vaultPath));
+
+    // The options are read like the lines of a code block, so they accept the same values
+    const diagnostics = new Diagnostics();
+    const source = Object.entries(paramOptions).map(([key, value]) => `${key}: ${value}`).join('\n');
+    const params = await core.parseParams(source, diagnostics);
+    await core.validateParams(params, diagnostics);
+
+    if (params.output === 'graph') {
+        await diagnostics.add({ key: 'output', message: "'output: graph' can only be rendered in a code block." });
+    }
+
+    if (format === 'json' && !EXPORTABLE_MODES.includes(params.mode)) {
+        await diagnostics.add({ key: 'mode', message: `'mode: ${params.mode}' cannot be written as JSON.`, allowed: EXPORTABLE_MODES });
+    }
+
+    const analysis = diagnostics.hasProblems() ? null : await core.runAnalysis(params, null, diagnostics);
+    if (!analysis) {
+        printDiagnostics(diagnostics);
+        return 2;
+    }
+
+    const { linkData, stats } = analysis;
+    stats.executionTime = (Date.now() - startTime) / 1000;
+
+    let output = '';
+    if (format === 'json') {
+        output = await core.generateJSON(await core.prepareExportData(linkData, params), stats);
+    } else if (format === 'stats') {
+        output = await core.generateMarkdownStats(stats);
+    } else {
+        const table = await core.generateMarkdownOutput(params, analysis) ?? 'No data available with the given parameters.\n';
+        output = table + (params.showStats ? await core.generateMarkdownStats(stats) : '');
+    }
+    process.stdout.write(`${output.trimEnd()}\n`);
+
+    if (failConditions.length === 0) {
+        return 0;
+    }
+
+    // The report may list only some notes, so the conditions are checked on all of them
+    const checkedData = params.fileType === 'all'
+        ? linkData
+        : (await core.runAnalysis({ ...params, fileType: 'all' }, null, new Diagnostics())).linkData;
+
+    let failed = false;
+    for (const condition of failConditions) {
+        const found = FAIL_CONDITIONS[condition].find(core, checkedData);
+        if (found.length > 0) {
+            failed = true;
+            console.error(`Link Analyzer: ${FAIL_CONDITIONS[condition].describe(found.length)} (${condition})`);
+            found.forEach(item => console.error(`  ${item}`));
+        }
+    }
+
+    return failed ? 1 : 0;
+}
+
+// Run when called from the command line; the tests require main
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        exitCode => {
+            process.exitCode = exitCode;
+        },
+        error => {
+            console.error(`Link Analyzer: ${error.message}`);
+            process.exitCode = 2;
+        }
+    );
+}
+
+module.exports = {
+    main
+};
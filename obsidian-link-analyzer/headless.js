@@ -0,0 +1,603 @@
+// Stand-ins for the parts of the Obsidian API the analysis uses, and an in-memory vault to analyze outside Obsidian.
+// main.js loads this file when the 'obsidian' module is not available, so LinkAnalysisCore can run in Node:
+//
+//     const { LinkAnalysisCore } = require('./main');
+//     const { createInMemoryApp } = require('./headless');
+//
+//     const core = new LinkAnalysisCore(createInMemoryApp({ 'Note.md': 'See [[Other note]]', 'Other note.md': '' }));
+//
+// Only what the analysis needs is covered; the plugin itself still needs Obsidian.
+
+// * Obsidian API stand-ins
+
+// The plugin's classes extend these, so they must exist for main.js to load
+class Plugin {
+    constructor(app, manifest) {
+        this.app = app;
+        this.manifest = manifest;
+    }
+}
+
+class PluginSettingTab {
+    constructor(app, plugin) {
+        this.app = app;
+        this.plugin = plugin;
+    }
+}
+
+class MarkdownRenderChild {
+    constructor(containerEl) {
+        this.containerEl = containerEl;
+    }
+}
+
+class Modal {
+    constructor(app) {
+        this.app = app;
+    }
+}
+
+class FuzzySuggestModal {
+    constructor(app) {
+        this.app = app;
+    }
+}
+
+class ItemView {
+    constructor(leaf) {
+        this.leaf = leaf;
+    }
+}
+
+
+class TFile {
+    constructor(path, stat = {}) {
+        this.path = path;
+        this.name = path.split('/').pop();
+
+        const extensionIndex = this.name.lastIndexOf('.');
+        this.basename = extensionIndex > 0 ? this.name.slice(0, extensionIndex) : this.name;
+        this.extension = extensionIndex > 0 ? this.name.slice(extensionIndex + 1) : '';
+
+        const now = Date.now();
+        this.stat = { ctime: stat.ctime ?? now, mtime: stat.mtime ?? now, size: stat.size ?? 0 };
+    }
+}
+
+
+// The path part of a link, without '#heading' or '#^block'
+function getLinkpath(linktext) {
+    const hashIndex = linktext.indexOf('#');
+    return hashIndex === -1 ? linktext : linktext.slice(0, hashIndex);
+}
+
+
+function normalizePath(path) {
+    const normalized = path
+        .replace(/[\\/]+/g, '/')
+        .replace(/[\u00A0\u202F]/g, ' ')
+        .replace(/^\/+|\/+$/g, '')
+        .normalize('NFC');
+
+    return normalized === '' ? '/' : normalized;
+}
+
+
+// Tags from the 'tags' property and the note body, with their '#'
+function getAllTags(fileCache) {
+    const tags = [];
+
+    for (const key of ['tags', 'tag']) {
+        const value = fileCache.frontmatter?.[key];
+        const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\s]+/) : [];
+        values.filter(tag => typeof tag === 'string' && tag.replace(/^#/, '')).forEach(tag => tags.push(`#${tag.replace(/^#/, '')}`));
+    }
+
+    (fileCache.tags || []).forEach(({ tag }) => tags.push(tag));
+
+    return tags.length > 0 ? tags : null;
+}
+
+
+function parseFrontMatterAliases(frontmatter) {
+    const value = frontmatter?.aliases ?? frontmatter?.alias;
+    const aliases = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+    const result = aliases.filter(alias => typeof alias === 'string').map(alias => alias.trim()).filter(alias => alias);
+
+    return result.length > 0 ? result : null;
+}
+
+
+
+
+
+
+
+
+
+
+
+// * Parsing notes
+
+// Wikilinks and embeds: [[target]], [[target|display]], ![[target]], and [[target\|display]] as written in tables
+const WIKILINK_PATTERN = /(!?)\[\[([^\]|]+?)\\?(?:\|([^\]]*))?\]\]/g;
+
+// Markdown links and embeds to notes: [display](target.md), ![display](<target with spaces.md>)
+// Links with a URL scheme (https:, mailto:, obsidian:) are left out, as Obsidian does
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^\]]*)\]\((<[^>]+>|[^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+// Tags in the note body: #tag, #nested/tag
+const TAG_PATTERN = /(^|\s)(#[\p{L}\p{N}_/-]+)/gu;
+
+
+/**
+ * Parse the frontmatter of a note: a YAML block with scalars, [inline, lists] and indented '- item' lists.
+ * @param {string} yaml - The text between the '---' lines.
+ * @returns {Object} The properties.
+ */
+function parseFrontmatter(yaml) {
+    const frontmatter = {};
+    let listKey = null;
+
+    const parseScalar = text => {
+        const value = text.trim();
+        if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (value === '' || value === 'null' || value === '~') return null;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        return value;
+    };
+
+    for (const line of yaml.split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) {
+            continue;
+        }
+
+        const itemMatch = line.match(/^\s*-\s+(.*)$/);
+        if (itemMatch && listKey) {
+            frontmatter[listKey].push(parseScalar(itemMatch[1]));
+            continue;
+        }
+
+        const propertyMatch = line.match(/^([^\s:][^:]*):(?:\s+(.*))?$/);
+        if (!propertyMatch) {
+            continue;
+        }
+
+        const key = propertyMatch[1].trim();
+        const value = (propertyMatch[2] || '').trim();
+        listKey = null;
+
+        if (value === '') {
+            frontmatter[key] = [];
+            listKey = key;
+        } else if (value.startsWith('[') && value.endsWith(']') && !value.startsWith('[[')) {
+            frontmatter[key] = value.slice(1, -1).split(',').map(item => parseScalar(item)).filter(item => item !== null);
+        } else {
+            frontmatter[key] = parseScalar(value);
+        }
+    }
+
+    // Keys without items are empty properties, not lists
+    for (const [key, value] of Object.entries(frontmatter)) {
+        if (Array.isArray(value) && value.length === 0) {
+            frontmatter[key] = null;
+        }
+    }
+
+    return frontmatter;
+}
+
+
+/**
+ * Build the metadata Obsidian caches for a note: links, embeds, tags, frontmatter and links in properties.
+ * @param {string} content - The text of the note.
+ * @returns {Object} The cache, shaped like Obsidian's CachedMetadata.
+ */
+function parseNote(content) {
+    const cache = { links: [], embeds: [], tags: [], frontmatterLinks: [] };
+
+    const positionAt = (offset, length) => {
+        const before = content.slice(0, offset);
+        const line = before.split('\n').length - 1;
+        const col = offset - (before.lastIndexOf('\n') + 1);
+        return {
+            start: { line, col, offset },
+            end: { line, col: col + length, offset: offset + length }
+        };
+    };
+
+    // Masked parts keep their length, so offsets into body are offsets into content
+    let body = content;
+    const mask = (start, end) => {
+        body = body.slice(0, start) + ' '.repeat(end - start) + body.slice(end);
+    };
+
+    const frontmatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+    if (frontmatterMatch) {
+        cache.frontmatter = parseFrontmatter(frontmatterMatch[1]);
+        mask(0, frontmatterMatch[0].length);
+
+        for (const [key, value] of Object.entries(cache.frontmatter)) {
+            const values = Array.isArray(value) ? value : [value];
+            for (const item of values) {
+                const linkMatch = typeof item === 'string' && item.match(/^\[\[([^\]|]+?)(?:\|([^\]]*))?\]\]$/);
+                if (linkMatch) {
+                    cache.frontmatterLinks.push({ key, link: linkMatch[1], original: item, displayText: linkMatch[2] ?? linkMatch[1] });
+                }
+            }
+        }
+    }
+
+    // Links in code are not links
+    for (const match of body.matchAll(/```[\s\S]*?(?:```|$)|`[^`\n]*`/g)) {
+        mask(match.index, match.index + match[0].length);
+    }
+
+    for (const match of body.matchAll(WIKILINK_PATTERN)) {
+        const reference = {
+            link: match[2].trim(),
+            original: match[0],
+            displayText: match[3] ?? match[2].trim(),
+            position: positionAt(match.index, match[0].length)
+        };
+        (match[1] ? cache.embeds : cache.links).push(reference);
+    }
+
+    for (const match of body.matchAll(MARKDOWN_LINK_PATTERN)) {
+        const target = match[3].replace(/^<|>$/g, '');
+        if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+            continue;
+        }
+
+        let link = target;
+        try {
+            link = decodeURIComponent(target);
+        } catch (error) {
+            // Keep malformed escapes as written
+        }
+
+        const reference = {
+            link,
+            original: match[0],
+            displayText: match[2],
+            position: positionAt(match.index, match[0].length)
+        };
+        (match[1] ? cache.embeds : cache.links).push(reference);
+    }
+
+    for (const match of body.matchAll(TAG_PATTERN)) {
+        // Tags need at least one character that is not a digit, so '#1' is not a tag
+        if (/^#\d+$/.test(match[2])) {
+            continue;
+        }
+
+        const offset = match.index + match[1].length;
+        cache.tags.push({ tag: match[2], position: positionAt(offset, match[2].length) });
+    }
+
+    for (const key of ['links', 'embeds', 'tags']) {
+        cache[key].sort((a, b) => a.position.start.offset - b.position.start.offset);
+    }
+
+    return cache;
+}
+
+
+
+
+
+
+
+
+
+
+
+// * In-memory vault
+
+/**
+ * Class representing a vault whose notes are kept in memory, with the Vault methods the analysis uses.
+ */
+class InMemoryVault {
+    /**
+     * Create a new InMemoryVault object.
+     * @param {Object} [files] - The files by path, each the file's text or { content, mtime, ctime }.
+     */
+    constructor(files = {}) {
+        this.files = new Map();
+        this.contents = new Map();
+
+        // Moves forward on every change, so what is derived from the files knows when to rebuild
+        this.version = 0;
+
+        for (const [path, file] of Object.entries(files)) {
+            const { content = '', ...stat } = typeof file === 'string' ? { content: file } : file;
+            this.setFile(normalizePath(path), content, stat);
+        }
+    }
+
+    // * Reading files
+
+    getFiles() {
+        return Array.from(this.files.values());
+    }
+
+    getMarkdownFiles() {
+        return this.getFiles().filter(file => file.extension === 'md');
+    }
+
+    getAbstractFileByPath(path) {
+        return this.files.get(normalizePath(path)) || null;
+    }
+
+    async read(file) {
+        return this.contents.get(file.path) ?? '';
+    }
+
+    async cachedRead(file) {
+        return this.read(file);
+    }
+
+    // * Changing files
+
+    /**
+     * Add or replace a file; its mtime moves forward so the link index sees the change.
+     * @param {string} path - The path of the file.
+     * @param {string} content - The text of the file.
+     * @param {Object} [stat] - The ctime and mtime of the file.
+     * @returns {TFile} The file.
+     */
+    setFile(path, content, stat = {}) {
+        const existingFile = this.files.get(path);
+        const file = existingFile || new TFile(path, { ...stat, size: content.length });
+
+        if (existingFile) {
+            file.stat.mtime = Math.max(stat.mtime ?? Date.now(), file.stat.mtime + 1);
+            file.stat.size = content.length;
+        }
+
+        this.files.set(path, file);
+        this.contents.set(path, content);
+        this.version++;
+        return file;
+    }
+
+    async create(path, content) {
+        if (this.files.has(normalizePath(path))) {
+            throw new Error(`File already exists: ${path}`);
+        }
+        return this.setFile(normalizePath(path), content);
+    }
+
+    async modify(file, content) {
+        this.setFile(file.path, content);
+    }
+
+    async process(file, update) {
+        const content = update(await this.read(file));
+        this.setFile(file.path, content);
+        return content;
+    }
+
+    async delete(file) {
+        this.files.delete(file.path);
+        this.contents.delete(file.path);
+        this.version++;
+    }
+
+    async createFolder() {
+        // Folders only exist as parts of file paths
+    }
+}
+
+
+/**
+ * Class representing the metadata cache of an InMemoryVault, resolving links the way Obsidian does.
+ */
+class InMemoryMetadataCache {
+    /**
+     * Create a new InMemoryMetadataCache object.
+     * @param {InMemoryVault} vault - The vault whose notes are parsed.
+     */
+    constructor(vault) {
+        this.vault = vault;
+        this.caches = new Map();
+
+        // Lookups and link counts for one vault version, built when first needed after a change
+        this.lookupVersion = -1;
+        this.linkCountsVersion = -1;
+    }
+
+    // * Reading metadata
+
+    getFileCache(file) {
+        if (!file || file.extension !== 'md' || !this.vault.files.has(file.path)) {
+            return null;
+        }
+
+        const cached = this.caches.get(file.path);
+        if (cached && cached.mtime === file.stat.mtime) {
+            return cached.cache;
+        }
+
+        const cache = parseNote(this.vault.contents.get(file.path) ?? '');
+        this.caches.set(file.path, { mtime: file.stat.mtime, cache });
+        return cache;
+    }
+
+    // * Resolving links
+
+    /**
+     * Get the file a link points to: an exact path first, relative to the source note for './' and '../',
+     * then the file with that name closest to the source note.
+     * @param {string} linkpath - The link without '#heading'.
+     * @param {string} sourcePath - The path of the note containing the link.
+     * @returns {TFile|null} The file, or null for unresolved links.
+     */
+    getFirstLinkpathDest(linkpath, sourcePath) {
+        const sourceFolder = sourcePath.split('/').slice(0, -1).join('/');
+        let target = linkpath.trim();
+
+        if (/^\.\.?\//.test(target)) {
+            const segments = sourceFolder ? sourceFolder.split('/') : [];
+            for (const segment of target.split('/')) {
+                if (segment === '..') segments.pop();
+                else if (segment !== '.') segments.push(segment);
+            }
+            target = segments.join('/');
+        }
+        target = target.replace(/^\//, '').toLowerCase();
+
+        const { filesByPath, filesByName } = this.getLookups();
+        const exactFile = filesByPath.get(target) || filesByPath.get(`${target}.md`);
+        if (exactFile) {
+            return exactFile;
+        }
+
+        // Files are looked up by name, so only the files with the link's last segment as name are compared
+        const candidates = (filesByName.get(target.split('/').pop()) || []).filter(file => {
+            const path = file.path.toLowerCase();
+            return path.endsWith(`/${target}`) || path.endsWith(`/${target}.md`);
+        });
+
+        // Obsidian prefers a file next to the source note, then the shortest path
+        return candidates.find(file => file.path.split('/').slice(0, -1).join('/') === sourceFolder)
+            || [...candidates].sort((a, b) => a.path.length - b.path.length)[0]
+            || null;
+    }
+
+
+    // Lower-cased paths, and names with and without '.md', of the files in the vault
+    getLookups() {
+        if (this.lookupVersion !== this.vault.version) {
+            this.filesByPath = new Map();
+            this.filesByName = new Map();
+
+            for (const file of this.vault.getFiles()) {
+                // Paths differing only in case resolve to the first file, as a search in vault order would
+                if (!this.filesByPath.has(file.path.toLowerCase())) {
+                    this.filesByPath.set(file.path.toLowerCase(), file);
+                }
+
+                const names = new Set([file.name.toLowerCase(), file.extension === 'md' ? file.basename.toLowerCase() : null]);
+                for (const name of names) {
+                    if (name === null) {
+                        continue;
+                    }
+                    if (!this.filesByName.has(name)) {
+                        this.filesByName.set(name, []);
+                    }
+                    this.filesByName.get(name).push(file);
+                }
+            }
+
+            this.lookupVersion = this.vault.version;
+        }
+
+        return { filesByPath: this.filesByPath, filesByName: this.filesByName };
+    }
+
+    // The shortest link text that still resolves to the file: its name, or its path for duplicate names
+    fileToLinktext(file, sourcePath, omitMdExtension = true) {
+        const name = omitMdExtension && file.extension === 'md' ? file.basename : file.name;
+        if (this.getFirstLinkpathDest(name, sourcePath) === file) {
+            return name;
+        }
+
+        return omitMdExtension && file.extension === 'md' ? file.path.replace(/\.md$/, '') : file.path;
+    }
+
+    get resolvedLinks() {
+        return this.getLinkCounts().resolvedLinks;
+    }
+
+    get unresolvedLinks() {
+        return this.getLinkCounts().unresolvedLinks;
+    }
+
+    // Link counts per source note and target, as in Obsidian's resolvedLinks and unresolvedLinks
+    // They are counted once per vault version, as Obsidian keeps them up to date instead of counting on each access
+    getLinkCounts() {
+        if (this.linkCountsVersion === this.vault.version) {
+            return this.linkCounts;
+        }
+
+        const resolvedLinks = {};
+        const unresolvedLinks = {};
+
+        for (const file of this.vault.getMarkdownFiles()) {
+            const cache = this.getFileCache(file);
+            resolvedLinks[file.path] = {};
+            unresolvedLinks[file.path] = {};
+
+            for (const { link } of [...cache.links, ...cache.embeds, ...cache.frontmatterLinks]) {
+                const linkpath = getLinkpath(link);
+                if (!linkpath) {
+                    continue;
+                }
+
+                const targetFile = this.getFirstLinkpathDest(linkpath, file.path);
+                const counts = targetFile ? resolvedLinks[file.path] : unresolvedLinks[file.path];
+                const key = targetFile ? targetFile.path : linkpath;
+                counts[key] = (counts[key] || 0) + 1;
+            }
+        }
+
+        this.linkCounts = { resolvedLinks, unresolvedLinks };
+        this.linkCountsVersion = this.vault.version;
+        return this.linkCounts;
+    }
+}
+
+
+/**
+ * Class representing the file manager of an InMemoryVault. There is no trash, so trashed files are deleted.
+ */
+class InMemoryFileManager {
+    /**
+     * Create a new InMemoryFileManager object.
+     * @param {InMemoryVault} vault - The vault whose files are managed.
+     */
+    constructor(vault) {
+        this.vault = vault;
+    }
+
+    // New notes go to the vault root, Obsidian's default location
+    getNewFileParent() {
+        return { path: '/' };
+    }
+
+    async trashFile(file) {
+        await this.vault.delete(file);
+    }
+}
+
+
+/**
+ * Create an app-like object for LinkAnalysisCore from the files of an in-memory vault.
+ * @param {Object} [files] - The files by path, each the file's text or { content, mtime, ctime }.
+ * @returns {Object} The vault, metadataCache and fileManager.
+ */
+function createInMemoryApp(files = {}) {
+    const vault = new InMemoryVault(files);
+    return { vault, metadataCache: new InMemoryMetadataCache(vault), fileManager: new InMemoryFileManager(vault) };
+}
+
+module.exports = {
+    Plugin,
+    PluginSettingTab,
+    MarkdownRenderChild,
+    Modal,
+    FuzzySuggestModal,
+    ItemView,
+    TFile,
+    getLinkpath,
+    normalizePath,
+    getAllTags,
+    parseFrontMatterAliases,
+    parseNote,
+    InMemoryVault,
+    InMemoryMetadataCache,
+    InMemoryFileManager,
+    createInMemoryApp
+};
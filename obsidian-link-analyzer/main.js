@@ -1,10 +1,101 @@
 // TODO: Parallelization: If you have a large number of files, you can parallelize the analysis across multiple threads or processes.
-// TODO: Incremental analysis: If files rarely change, you can analyze only new or modified files instead of starting from scratch.
-// TODO: Caching: If the file structure and links between them change infrequently, you can cache the results to speed up subsequent requests.
 
-const { Plugin, MarkdownView, TFile } = require('obsidian');
+// Outside Obsidian, such as in scripts, the stand-ins in headless.js take the place of the Obsidian API
+const { Plugin, PluginSettingTab, Setting, MarkdownView, MarkdownRenderChild, Modal, FuzzySuggestModal, ItemView, Keymap, Notice, TFile, getLinkpath, getAllTags, normalizePath, parseFrontMatterAliases } = (() => {
+    try {
+        return require('obsidian');
+    } catch (error) {
+        return require('./headless');
+    }
+})();
+
+globalThis.debugMode = false; // Set from the 'Debug logging' setting on load
+
+const DEFAULT_COLUMN_DISPLAY_NAMES = {
+    index: '#',
+    name: '📄',
+    outgoingCount: '🔗👉',
+    incomingCount: '🔗👈',
+    outgoing: '📄👉 out',
+    incoming: '📄👈 in',
+    unresolved: '❔ unresolved',
+    outgoingKinds: '🧩 kinds',
+    pageRank: '⭐ PageRank',
+    betweenness: '🌉 betweenness',
+    degreeRatio: '⚖️ in/out',
+    clustering: '🕸 clustering',
+    distance: '📏 distance'
+};
+
+// Milliseconds without further settings changes before rendered blocks follow them
+const SETTINGS_RENDER_DELAY = 1000;
+
+// Matchers for this many distinct 'paths' lists are kept for reuse
+const MAX_CACHED_PATH_MATCHERS = 100;
+
+// Betweenness is estimated from this many notes' shortest paths in larger graphs
+const MAX_BETWEENNESS_SOURCES = 500;
+
+// Notes drawn by 'output: graph', the most linked first
+const MAX_GRAPH_NODES = 300;
+
+// Upper limit of equally short paths listed by 'mode: path'
+const MAX_SHORTEST_PATHS = 10;
+
+// Upper limit of unlinked mentions and of notes sharing tags listed per note by 'mode: suggest'
+const MAX_SUGGESTIONS = 10;
 
-window.debugMode = false; // window.debugMode = true
+// Legend of the node colours in 'output: graph', keyed by fileType
+const GRAPH_CATEGORIES = {
+    noLinks: 'No links',
+    onlyOutgoingNoIncoming: 'Only outgoing',
+    onlyIncomingNoOutgoing: 'Only incoming',
+    bothIncomingAndOutgoing: 'Incoming and outgoing'
+};
+
+// Export formats, keyed by file extension
+const EXPORT_FORMATS = {
+    csv: 'CSV',
+    json: 'JSON',
+    graphml: 'GraphML',
+    dot: 'Graphviz DOT'
+};
+
+// Modes whose results the export commands can write
+const EXPORTABLE_MODES = ['table', 'clusters'];
+
+// Link health rules of 'mode: lint' and the link health panel, with their titles
+const LINT_RULES = {
+    orphans: 'Notes without links',
+    noOutgoing: 'Notes without outgoing links',
+    unresolved: 'Links to missing notes',
+    selfLinks: 'Notes linking to themselves',
+    excludedTargets: 'Links into excluded folders',
+    ambiguous: 'Ambiguous links to duplicate names',
+    hubs: 'Hub notes'
+};
+
+const LINT_VIEW_TYPE = 'link-analyzer-lint';
+
+// Vault-wide defaults; parameters given in a code block override them
+const DEFAULT_SETTINGS = {
+    sort: 'name',
+    sortOrder: 'desc',
+    fileType: 'eitherIncomingOrOutgoing',
+    excludeCol: [],
+    linkKinds: ['links', 'embeds', 'frontmatter'],
+    linkStyle: 'wikilink',
+    showStats: false,
+    excludeFolders: [],
+    columnDisplayNames: {},
+    debugMode: false,
+    renderDebounce: 2000,
+    exportFolder: 'Link Analyzer',
+    pageSize: 50,
+    lintRules: Object.keys(LINT_RULES),
+    hubThreshold: 50,
+    newNoteTemplate: ''
+};
 
 const debounce = (func, wait, immediate) => {
     let timeout;
@@ -24,12 +115,64 @@ const debounce = (func, wait, immediate) => {
 // * Global utilities
 
 async function debugLog(message) {
-    if (window.debugMode) {
+    if (globalThis.debugMode) {
         console.debug(`[DEBUG] ${message}`);
     }
 }
 
 
+// Converts a glob to a RegExp: '**' spans folders, '*' and '?' stay within one path segment
+function globToRegExp(glob) {
+    let pattern = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            // '**/' also matches zero folders
+            if (glob[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${pattern}$`);
+}
+
+
+// Edit distance counting swapped neighbours as one edit: the number of characters to insert, delete, replace or swap
+// to turn one string into the other
+function editDistance(a, b) {
+    const distances = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => i === 0 ? j : j === 0 ? i : 0));
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            distances[i][j] = Math.min(
+                distances[i - 1][j] + 1,
+                distances[i][j - 1] + 1,
+                distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return distances[a.length][b.length];
+}
+
+
 async function handleError(operation, error, shouldThrow = true) {
     const errorMessage = `${operation}: ${error.message || error}`;
     console.error(errorMessage, error);
@@ -141,6 +284,26 @@ class Stats {
         }
     }
 
+    /**
+     * Update the total number of unresolved links.
+     * @param {Set|Array} links - The new unresolved links.
+     * @throws {Error} If the provided input is neither a Set nor an Array.
+     */
+    async updateUnresolvedLinks(links) {
+        try {
+            if (!(links instanceof Set || Array.isArray(links))) {
+                await handleError('Invalid input for unresolvedLinks', 'The provided input for unresolvedLinks is neither a Set nor an Array.');
+            }
+
+            const unresolvedSize = links.size || links.length;
+            this.totalUnresolvedLinks += unresolvedSize;
+            await debugLog('Updated unresolvedLinks');
+
+        } catch (error) {
+            await handleError("Error updating unresolvedLinks", error);
+        }
+    }
+
     /**
      * Update the set of unique outgoing links.
      * @param {Set|Array} links - The new unique outgoing links.
@@ -227,6 +390,7 @@ class Stats {
         this.totalUniqueIncomingLinks = new Set();
         this.totalOutgoingLinks = 0;
         this.totalIncomingLinks = 0;
+        this.totalUnresolvedLinks = 0;
         this.skippedFiles = 0;
         this.filesInTable = 0;
         await debugLog('Stats reset');
@@ -242,643 +406,5685 @@ class Stats {
 
 
 
-class LinkAnalyzer extends Plugin {
+/**
+ * Class collecting problems found while parsing and validating parameters.
+ */
+class Diagnostics {
+    /**
+     * Create a new Diagnostics object.
+     */
+    constructor() {
+        this.problems = [];
+        this.lines = {};
+    }
 
-    // * Initialization and life cycle of the plugin
+    /**
+     * Record a problem.
+     * @param {Object} problem - The problem to record.
+     * @param {string} problem.message - A readable description of the problem.
+     * @param {string|null} [problem.key] - The parameter the problem belongs to.
+     * @param {number|null} [problem.line] - The line of the parameter, looked up by key if omitted.
+     * @param {string[]|null} [problem.allowed] - The values the parameter accepts.
+     */
+    async add({ message, key = null, line = null, allowed = null }) {
+        this.problems.push({
+            message,
+            key,
+            line: line ?? this.lines[key] ?? null,
+            allowed
+        });
+        await debugLog(`Diagnostic added: ${message}`);
+    }
 
-    async onload() {
-        try {
-            console.log(`Link Analyzer: Enabled`);
+    /**
+     * Check whether any problem was recorded.
+     * @param {string|null} [key] - Only check the problems of this parameter.
+     * @returns {boolean} True if there are problems.
+     */
+    hasProblems(key = null) {
+        return key === null
+            ? this.problems.length > 0
+            : this.problems.some(problem => problem.key === key);
+    }
 
-            this.addCommand({
-                id: 'link-analyzer-standard-scan',
-                name: 'Insert Markdown Table (Standard Filter)',
-                callback: async () => {
-                    await this.analyzeLinks();
-                },
-            });
+    /**
+     * Get the problems ordered by line, with problems without a line last.
+     * @returns {Object[]} The sorted problems.
+     */
+    getSortedProblems() {
+        return [...this.problems].sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+    }
+}
 
-            this.addCommand({
-                id: 'link-analyzer-comprehensive-scan',
-                name: 'Insert Markdown Table (All Files + Stats)',
-                callback: async () => {
-                    const params = {
-                        fileType: 'all',
-                        showStats: true
-                    };
-                    await this.analyzeLinks(params);
-                },
-            });
 
-            this.registerMarkdownCodeBlockProcessor("link-analyzer", async (source, el, ctx) => {
-                const params = await this.parseParams(source);
-                await this.analyzeLinks(params, el);
-            });
 
-            await debugLog('onload completed successfully');
 
-        } catch (error) {
-            await handleError("Failed in onload", error);
-        }
-    }
 
 
-    async onunload() {
-        console.log(`Link Analyzer: Disabled`);
-    }
 
 
 
 
+/**
+ * Class representing a persistent index of resolved links per file.
+ * Entries are keyed by file path and are only reused while the file's mtime is unchanged
+ * and no file that one of their links could resolve to was added or removed.
+ */
+class LinkIndex {
+    /**
+     * Create a new LinkIndex object.
+     * @param {Object} [data] - Previously saved index data.
+     */
+    constructor(data = null) {
+        // Index data saved without the file paths cannot tell which entries a change affects, so it is not reused
+        this.entries = new Map(data?.paths ? Object.entries(data.entries || {}) : []);
+        this.paths = new Set(data?.paths || []);
+        this.isDirty = false;
+    }
 
+    /**
+     * Get the name a link or a file is resolved by: the last path segment, lower-cased, without the .md extension.
+     * @param {string} pathOrLinkpath - A file path or a link path as written.
+     * @returns {string} The name.
+     */
+    static getResolutionName(pathOrLinkpath) {
+        return pathOrLinkpath.split('/').pop().toLowerCase().replace(/\.md$/, '');
+    }
 
+    // * Reading and updating entries
 
+    /**
+     * Get the cached entry for a file.
+     * @param {TFile} file - The file to look up.
+     * @returns {Object|null} The entry, or null if missing or outdated.
+     */
+    async get(file) {
+        const entry = this.entries.get(file.path);
+        if (!entry || entry.mtime !== file.stat.mtime) {
+            return null;
+        }
 
+        return entry;
+    }
 
+    /**
+     * Store the resolved links of a file.
+     * @param {TFile} file - The indexed file.
+     * @param {Object} kinds - Resolved and unresolved links per link kind.
+     * @returns {Object} The stored entry.
+     */
+    async set(file, kinds) {
+        const entry = { mtime: file.stat.mtime, kinds };
+        this.entries.set(file.path, entry);
+        this.isDirty = true;
+        await debugLog(`Indexed ${file.path}`);
+        return entry;
+    }
 
+    /**
+     * Remove the entry of a file.
+     * @param {string} path - The path of the file.
+     */
+    async delete(path) {
+        if (this.entries.delete(path)) {
+            this.isDirty = true;
+        }
+    }
 
-    // * Utilities and auxiliary functions
+    /**
+     * Drop the entries whose links could resolve differently since files were added, removed or renamed:
+     * entries with a resolved or unresolved link by the name of such a file, and entries linking to a removed file.
+     * @param {TFile[]} allFiles - All files currently in the vault.
+     */
+    async validateStructure(allFiles) {
+        const currentPaths = new Set(allFiles.map(file => file.path));
+        const addedPaths = allFiles.map(file => file.path).filter(path => !this.paths.has(path));
+        const removedPaths = new Set(Array.from(this.paths).filter(path => !currentPaths.has(path)));
 
-    async parseParams(line) {
-        try {
-            // Initialize an object to hold the parsed parameters with default values
-            const params = {
-                paths: [],
-                sort: 'name',
-                sortOrder: 'desc',
-                excludeCol: [],
-                fileType: 'eitherIncomingOrOutgoing',
-                showStats: false
-            };
+        if (addedPaths.length === 0 && removedPaths.size === 0) {
+            return;
+        }
 
-            // Split the input line into individual lines based on newline character
-            const lines = line.split('\n');
-            await debugLog('After splitting line:', lines);
+        const changedNames = new Set([...addedPaths, ...removedPaths].map(path => LinkIndex.getResolutionName(path)));
+        const isAffected = ({ kinds }) => Object.values(kinds).some(({ resolved, unresolved }) =>
+            resolved.some(path => removedPaths.has(path) || changedNames.has(LinkIndex.getResolutionName(path)))
+            || unresolved.some(linkpath => changedNames.has(LinkIndex.getResolutionName(linkpath))));
 
-            // Parse each line to extract key-value pairs
-            for (const line of lines) {
-                const [key, value] = line.split(':').map(str => str.trim());
-                await debugLog(`Parsed line - Key: ${key}, Value: ${value}`);
-                if (key === 'paths') params.paths = value ? value.split(',').map(str => str.trim()) : params.paths;
-                if (key === 'sort') params.sort = value || params.sort;
-                if (key === 'sortOrder') params.sortOrder = value || params.sortOrder;
-                if (key === 'excludeCol') params.excludeCol = value ? value.split(',').map(str => str.trim()) : params.excludeCol;
-                if (key === 'fileType') params.fileType = value || params.fileType;
-                if (key === 'showStats') params.showStats = value ? value.toLowerCase() === 'true' : params.showStats;
+        let droppedCount = 0;
+        for (const [path, entry] of this.entries) {
+            if (removedPaths.has(path) || isAffected(entry)) {
+                this.entries.delete(path);
+                droppedCount++;
             }
+        }
 
-            await debugLog('Parsed parameters:', params);
-            return params;
+        this.paths = currentPaths;
+        this.isDirty = true;
+        await debugLog(`Link index updated for ${addedPaths.length} added and ${removedPaths.size} removed files, ${droppedCount} entries dropped`);
+    }
 
-        } catch (error) {
-            await handleError("An error occurred in parseParams", error);
-        }
+    /**
+     * Serialize the index for saveData.
+     * @returns {Object} The index data.
+     */
+    toJSON() {
+        return {
+            paths: Array.from(this.paths),
+            entries: Object.fromEntries(this.entries)
+        };
     }
+}
 
 
 
-    async validatePaths(paths) {
-        try {
-            if (paths && !Array.isArray(paths)) {
-                await handleError('validatePaths', "Invalid type for 'paths'. Expected an array.", false);
-                return false;
-            }
 
-            if (!paths || paths.length === 0) {
-                await debugLog("No 'paths' specified, will check all files.");
-                return true;
-            }
 
-            for (const path of paths) {
-                if (typeof path !== 'string') {
-                    await handleError('validatePaths', `Invalid path: ${path}. Expected a string.`, false);
-                    return false;
-                }
-            }
 
-            await debugLog(`Checking specified paths: ${paths.join(", ")}`);
-            return true;
 
-        } catch (error) {
-            await handleError('An error occurred while validating paths.', error);
-        }
-    }
 
 
-    async validateSort(sort) {
-        try {
-            const validSortOptions = ['name', 'outgoingCount', 'incomingCount'];
-            if (!validSortOptions.includes(sort)) {
-                await handleError('validateSort', `Invalid value for 'sort'. Expected one of ${validSortOptions.join(", ")}.`, false);
-                return false;
-            }
 
-            await debugLog(`Validated sort parameter: ${sort}`);
-            return true;
+/**
+ * Render child that keeps a rendered link-analyzer code block up to date.
+ */
+class LinkAnalyzerRenderChild extends MarkdownRenderChild {
+    /**
+     * Create a new render child for a code block.
+     * @param {LinkAnalyzer} plugin - The plugin instance that renders the block.
+     * @param {HTMLElement} containerEl - The element the block renders into.
+     * @param {Object} params - The parsed code block parameters.
+     * @param {string} sourcePath - The path of the note containing the block.
+     */
+    constructor(plugin, containerEl, params, sourcePath) {
+        super(containerEl);
+        this.plugin = plugin;
+        this.params = params;
+        this.sourcePath = sourcePath;
+        this.isLoaded = false;
+        this.isStale = false;
+        this.graph = null;
+        this.tableStates = new Map();
+        this.requestRender = debounce(() => this.render(), plugin.settings.renderDebounce);
+    }
 
-        } catch (error) {
-            await handleError('An error occurred while validating sort', error);
-        }
+    onload() {
+        this.isLoaded = true;
+        this.plugin.codeBlocks.add(this);
+        debugLog('Code block registered');
     }
 
+    onunload() {
+        this.isLoaded = false;
+        this.plugin.codeBlocks.delete(this);
+        this.setGraph(null);
+        debugLog('Code block unregistered');
+    }
 
-    async validateSortOrder(sortOrder) {
-        try {
-            const validSortOrderOptions = ['asc', 'desc'];
-            if (!validSortOrderOptions.includes(sortOrder)) {
-                await handleError('validateSortOrder', `Invalid value for 'sortOrder'. Expected one of ${validSortOrderOptions.join(", ")}.`, false);
-                return false;
-            }
+    /**
+     * Get the state of one of the block's interactive tables, which outlives re-renders of the block.
+     * @param {string} key - The table within the block, such as a cluster or a hop.
+     * @returns {Object} The state, filled in by InteractiveTable.
+     */
+    getTableState(key) {
+        if (!this.tableStates.has(key)) {
+            this.tableStates.set(key, {});
+        }
 
-            await debugLog(`Validated sortOrder parameter: ${sortOrder}`);
-            return true;
+        return this.tableStates.get(key);
+    }
 
-        } catch (error) {
-            await handleError('An error occurred while validating sortOrder', error);
+    /**
+     * Keep the graph the block shows, stopping the layout of the graph it replaces.
+     * @param {LinkGraphRenderer|null} graph - The rendered graph, or null.
+     */
+    setGraph(graph) {
+        this.graph?.stop();
+        this.graph = graph;
+    }
+
+    /**
+     * Check whether a change to the given path can affect this block.
+     * @param {string} path - The path of the changed file.
+     * @returns {boolean} True if the path is within the block's paths.
+     */
+    isPathInScope(path) {
+        return this.plugin.core.isPathTargeted(path, this.plugin.core.getEffectivePaths(this.params.paths));
+    }
+
+    /**
+     * Render the block into its container, unless it has been unloaded meanwhile.
+     */
+    async render() {
+        if (!this.isLoaded) {
+            return;
         }
+
+        this.isStale = false;
+        await this.plugin.analyzeLinks(this.params, this.containerEl, this.sourcePath, this);
     }
+}
 
 
-    async validateExcludeCol(excludeCol) {
-        try {
-            const validExcludeColValues = ['index', 'name', 'outgoingCount', 'incomingCount', 'outgoing', 'incoming'];
 
-            if (!Array.isArray(excludeCol)) {
-                await handleError('validateExcludeCol', "Invalid value for 'excludeCol'. Expected an array.", false);
-                return false;
-            }
 
-            if (!excludeCol.every(value => validExcludeColValues.includes(value))) {
-                await handleError('validateExcludeCol', `Invalid value(s) in 'excludeCol'. Expected values are one of ${validExcludeColValues.join(", ")}.`, false);
-                return false;
-            }
 
-            if (excludeCol.length === validExcludeColValues.length) {
-                await handleError('validateExcludeCol', "Invalid value for 'excludeCol'. Cannot exclude all columns.", false);
-                return false;
-            }
 
-            await debugLog("ExcludeCol validated successfully.");
-            return true;
 
-        } catch (error) {
-            await handleError('An error occurred while validating excludeCol', error);
-        }
-    }
 
 
-    async validateFileType(fileType) {
-        try {
-            const validFileTypes = ['all', 'noLinks', 'onlyOutgoingNoIncoming', 'onlyIncomingNoOutgoing', 'bothIncomingAndOutgoing', 'eitherIncomingOrOutgoing'];
 
-            if (!validFileTypes.includes(fileType)) {
-                await handleError('validateFileType', `Invalid value for 'fileType'. Expected one of ${validFileTypes.join(", ")}.`, false);
-                return false;
-            }
+/**
+ * Class drawing the analyzed notes as an interactive force-directed graph.
+ * Nodes are coloured by their link category and sized by their number of incoming links.
+ * Every frame compares each pair of notes, so only the MAX_GRAPH_NODES most linked notes are drawn.
+ */
+class LinkGraphRenderer {
+    /**
+     * Create a new graph renderer.
+     * @param {LinkAnalyzer} plugin - The plugin instance, used to open notes.
+     * @param {HTMLElement} containerEl - The element the graph renders into.
+     * @param {Map} linkData - The analyzed notes, keyed by path.
+     * @param {string} sourcePath - The path of the note containing the block.
+     */
+    constructor(plugin, containerEl, linkData, sourcePath) {
+        this.plugin = plugin;
+        this.containerEl = containerEl;
+        this.sourcePath = sourcePath || '';
+        this.id = LinkGraphRenderer.count = (LinkGraphRenderer.count || 0) + 1;
+        this.view = { x: 0, y: 0, scale: 1 };
+        this.alpha = 1;
+        this.frame = null;
+
+        const linkCount = path => linkData.get(path).incoming.size + linkData.get(path).outgoing.size;
+        const paths = linkData.size > MAX_GRAPH_NODES
+            ? Array.from(linkData.keys()).sort((a, b) => linkCount(b) - linkCount(a) || a.localeCompare(b)).slice(0, MAX_GRAPH_NODES)
+            : Array.from(linkData.keys());
+        const indices = new Map(paths.map((path, i) => [path, i]));
+        this.totalCount = linkData.size;
+
+        // Nodes start on a spiral, so the layout is the same on every render
+        this.nodes = paths.map((path, i) => {
+            const data = linkData.get(path);
+            const angle = i * 2.39996;
+            const radius = 10 * Math.sqrt(i + 0.5);
+
+            return {
+                path,
+                name: data.name,
+                category: plugin.core.getLinkCategory(data),
+                radius: 4 + 2 * Math.sqrt(data.incoming.size),
+                x: radius * Math.cos(angle),
+                y: radius * Math.sin(angle),
+                vx: 0,
+                vy: 0
+            };
+        });
 
-            await debugLog("FileType validated successfully.");
-            return true;
+        this.edges = [];
+        this.neighbors = this.nodes.map(() => new Set());
 
-        } catch (error) {
-            await handleError('An error occurred while validating fileType', error);
+        for (const path of paths) {
+            for (const target of linkData.get(path).outgoing) {
+                if (target !== path && indices.has(target)) {
+                    const source = indices.get(path);
+                    this.edges.push({ source, target: indices.get(target) });
+                    this.neighbors[source].add(indices.get(target));
+                    this.neighbors[indices.get(target)].add(source);
+                }
+            }
         }
     }
 
+    // * Layout
 
-    async validateShowStats(showStats) {
-        try {
-            if (typeof showStats !== 'boolean') {
-                await handleError('validateShowStats', "Invalid type for 'showStats'. Expected a boolean.", false);
-                return false;
+    /**
+     * Advance the simulation by one step: notes repel each other, links pull them together
+     * and a weak force keeps the graph centred.
+     */
+    tick() {
+        const { nodes, edges, alpha } = this;
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const dx = nodes[j].x - nodes[i].x;
+                const dy = nodes[j].y - nodes[i].y;
+                const force = 300 * alpha / Math.max(dx * dx + dy * dy, 1);
+
+                nodes[i].vx -= dx * force;
+                nodes[i].vy -= dy * force;
+                nodes[j].vx += dx * force;
+                nodes[j].vy += dy * force;
             }
+        }
 
-            await debugLog("ShowStats validated successfully.");
-            return true;
+        for (const { source, target } of edges) {
+            const dx = nodes[target].x - nodes[source].x;
+            const dy = nodes[target].y - nodes[source].y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const force = (distance - 60) / distance * 0.1 * alpha;
 
-        } catch (error) {
-            await handleError('An error occurred while validating showStats', error);
+            nodes[source].vx += dx * force;
+            nodes[source].vy += dy * force;
+            nodes[target].vx -= dx * force;
+            nodes[target].vy -= dy * force;
         }
-    }
 
+        for (const node of nodes) {
+            node.vx -= node.x * 0.01 * alpha;
+            node.vy -= node.y * 0.01 * alpha;
+            node.x += node.vx;
+            node.y += node.vy;
+            node.vx *= 0.6;
+            node.vy *= 0.6;
+        }
 
-    async validateParams(params) {
-        try {
-            if (!params) {
-                await handleError('validateParams', "Params object is null or undefined.", false);
-                return false;
-            }
-
-            const isPathsValid = await this.validatePaths(params.paths);
-            const isSortValid = await this.validateSort(params.sort);
-            const isSortOrderValid = await this.validateSortOrder(params.sortOrder);
-            const isExcludeColValid = await this.validateExcludeCol(params.excludeCol);
-            const isFileTypeValid = await this.validateFileType(params.fileType);
-            const isShowStatsValid = await this.validateShowStats(params.showStats);
+        this.alpha *= 0.98;
+    }
 
-            if (!isPathsValid || !isSortValid || !isSortOrderValid || !isExcludeColValid || !isFileTypeValid || !isShowStatsValid) {
-                await debugLog('Parameters validated successfully.');
-                return false;
+    /**
+     * Animate the layout until it settles or the graph is removed from the page.
+     */
+    start() {
+        const step = () => {
+            if (this.alpha < 0.01 || !this.svg.isConnected) {
+                this.frame = null;
+                return;
             }
 
-            await debugLog("Parameters validated successfully.");
-            return true;
+            this.tick();
+            this.draw();
+            this.frame = activeWindow.requestAnimationFrame(step);
+        };
 
-        } catch (error) {
-            await handleError('An error occurred while validating params', error);
+        this.frame = activeWindow.requestAnimationFrame(step);
+    }
+
+    /**
+     * Stop the running animation.
+     */
+    stop() {
+        if (this.frame !== null) {
+            activeWindow.cancelAnimationFrame(this.frame);
+            this.frame = null;
         }
     }
 
+    // * Drawing and interaction
 
-    async validateInput(targetPaths, fileType) {
-        try {
+    /**
+     * Build the SVG, the legend and the event handlers, then start the layout.
+     */
+    render() {
+        this.containerEl.empty();
+
+        if (this.nodes.length === 0) {
+            this.containerEl.createEl('p', { cls: 'ola-graph-empty', text: 'No data available with the given parameters.' });
+            return;
+        }
+
+        if (this.nodes.length < this.totalCount) {
+            this.containerEl.createEl('p', {
+                cls: 'ola-graph-note',
+                text: `Showing the ${this.nodes.length} most linked of ${this.totalCount} notes. Narrow 'paths' or 'tags' to see the others.`
+            });
+        }
+
+        this.svg = this.containerEl.createSvg('svg', { cls: 'ola-graph-canvas' });
+        const markerId = `ola-graph-arrow-${this.id}`;
+
+        const marker = this.svg.createSvg('defs').createSvg('marker', {
+            attr: { id: markerId, viewBox: '0 -4 8 8', refX: 8, refY: 0, markerWidth: 6, markerHeight: 6, orient: 'auto' }
+        });
+        marker.createSvg('path', { cls: 'ola-graph-arrow', attr: { d: 'M0,-4L8,0L0,4' } });
+
+        this.viewport = this.svg.createSvg('g');
+        const edgeLayer = this.viewport.createSvg('g');
+        const nodeLayer = this.viewport.createSvg('g');
+
+        for (const edge of this.edges) {
+            edge.el = edgeLayer.createSvg('line', { cls: 'ola-graph-edge', attr: { 'marker-end': `url(#${markerId})` } });
+        }
+
+        this.nodes.forEach((node, i) => {
+            node.el = nodeLayer.createSvg('g', { cls: ['ola-graph-node', node.category] });
+            node.el.createSvg('title').textContent = node.path;
+            node.circle = node.el.createSvg('circle', { attr: { r: node.radius } });
+            node.label = node.el.createSvg('text', { cls: 'ola-graph-label', attr: { dy: -node.radius - 3 } });
+            node.label.textContent = node.name;
+
+            node.el.addEventListener('click', evt => {
+                this.plugin.app.workspace.openLinkText(node.path, this.sourcePath, Keymap.isModEvent(evt));
+            });
+            node.el.addEventListener('mouseenter', () => this.highlight(i));
+            node.el.addEventListener('mouseleave', () => this.highlight(null));
+        });
+
+        this.registerPanAndZoom();
+
+        const legend = this.containerEl.createDiv({ cls: 'ola-graph-legend' });
+        for (const [category, label] of Object.entries(GRAPH_CATEGORIES)) {
+            const item = legend.createSpan({ cls: ['ola-graph-legend-item', category] });
+            item.createSpan({ cls: 'ola-graph-swatch' });
+            item.createSpan({ text: label });
+        }
+
+        this.draw();
+        this.start();
+    }
+
+    /**
+     * Move the nodes and links to their current positions.
+     */
+    draw() {
+        const width = this.svg.clientWidth || 600;
+        const height = this.svg.clientHeight || 400;
+        this.viewport.setAttr('transform', `translate(${width / 2 + this.view.x},${height / 2 + this.view.y}) scale(${this.view.scale})`);
+
+        for (const node of this.nodes) {
+            node.el.setAttr('transform', `translate(${node.x},${node.y})`);
+        }
+
+        // Links end at the edge of their target, so the arrowheads stay visible
+        for (const { el, source, target } of this.edges) {
+            const from = this.nodes[source];
+            const to = this.nodes[target];
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+
+            el.setAttr('x1', from.x);
+            el.setAttr('y1', from.y);
+            el.setAttr('x2', to.x - dx / distance * to.radius);
+            el.setAttr('y2', to.y - dy / distance * to.radius);
+        }
+    }
+
+    /**
+     * Highlight a note with its neighbours and links, or clear the highlight.
+     * @param {number|null} index - The index of the hovered note, or null.
+     */
+    highlight(index) {
+        this.svg.toggleClass('is-hovering', index !== null);
+
+        this.nodes.forEach((node, i) => {
+            node.el.toggleClass('is-highlighted', index !== null && (i === index || this.neighbors[index].has(i)));
+        });
+
+        for (const edge of this.edges) {
+            edge.el.toggleClass('is-highlighted', index !== null && (edge.source === index || edge.target === index));
+        }
+    }
+
+    /**
+     * Drag the background to pan, use the mouse wheel to zoom around the pointer.
+     */
+    registerPanAndZoom() {
+        let dragStart = null;
+
+        this.svg.addEventListener('pointerdown', evt => {
+            if (evt.target !== this.svg) {
+                return;
+            }
+
+            dragStart = { x: evt.clientX - this.view.x, y: evt.clientY - this.view.y };
+            this.svg.setPointerCapture(evt.pointerId);
+            this.svg.addClass('is-panning');
+        });
+
+        this.svg.addEventListener('pointermove', evt => {
+            if (dragStart) {
+                this.view.x = evt.clientX - dragStart.x;
+                this.view.y = evt.clientY - dragStart.y;
+                this.draw();
+            }
+        });
+
+        this.svg.addEventListener('pointerup', evt => {
+            dragStart = null;
+            this.svg.releasePointerCapture(evt.pointerId);
+            this.svg.removeClass('is-panning');
+        });
+
+        this.svg.addEventListener('wheel', evt => {
+            evt.preventDefault();
+
+            const rect = this.svg.getBoundingClientRect();
+            const pointerX = evt.clientX - rect.left - rect.width / 2;
+            const pointerY = evt.clientY - rect.top - rect.height / 2;
+            const scale = Math.min(8, Math.max(0.1, this.view.scale * Math.exp(-evt.deltaY * 0.001)));
+
+            // Keep the point under the pointer in place
+            this.view.x = pointerX - (pointerX - this.view.x) * scale / this.view.scale;
+            this.view.y = pointerY - (pointerY - this.view.y) * scale / this.view.scale;
+            this.view.scale = scale;
+            this.draw();
+        }, { passive: false });
+    }
+}
+
+
+
+
+
+
+
+
+
+
+/**
+ * Class rendering prepared table data as an interactive table in reading view.
+ * Sorting, filtering, hiding columns and paging work on the prepared rows, without analyzing again.
+ */
+class InteractiveTable {
+    /**
+     * Create a new interactive table.
+     * @param {LinkAnalyzer} plugin - The plugin instance, used to render links.
+     * @param {HTMLElement} containerEl - The element the table renders into.
+     * @param {Object} preparedData - The tableData, columns and columnDisplayNames from prepareTableData.
+     * @param {number} [pageSize] - Rows per page, or 0 to show all rows.
+     * @param {string} [sourcePath] - The path of the note containing the block.
+     * @param {Object} [state] - Sorting, filter, hidden columns and page, kept by the caller to restore them on the next render.
+     */
+    constructor(plugin, containerEl, preparedData, pageSize = 0, sourcePath = '', state = {}) {
+        this.plugin = plugin;
+        this.containerEl = containerEl;
+        this.sourcePath = sourcePath;
+        this.rows = preparedData.tableData;
+        this.columns = preparedData.columns;
+        this.columnDisplayNames = preparedData.columnDisplayNames;
+        this.pageSize = pageSize;
+        this.state = Object.assign(state, {
+            sortColumn: state.sortColumn ?? null,
+            sortOrder: state.sortOrder ?? 'asc',
+            filterText: state.filterText ?? '',
+            hiddenColumns: state.hiddenColumns ?? new Set(),
+            page: state.page ?? 0
+        });
+
+        // Plain text of each row, so filtering does not have to look at the markup
+        this.searchTexts = new Map(this.rows.map(row => [row, this.columns.map(col => InteractiveTable.toPlainText(row[col])).join(' ').toLowerCase()]));
+    }
+
+    /**
+     * Get the text shown in a prepared cell.
+     * @param {*} value - The prepared cell value: a number, a string, a link or a list of them.
+     * @returns {string} The text shown in the cell.
+     */
+    static toPlainText(value) {
+        if (Array.isArray(value)) return value.map(item => InteractiveTable.toPlainText(item)).join(', ');
+        if (value && typeof value === 'object') return value.display;
+        return String(value ?? '');
+    }
+
+    /**
+     * Get the value a cell is sorted by: numbers numerically, lists by their length, other cells by text.
+     * @param {*} value - The prepared cell value.
+     * @returns {number|string} The sort value.
+     */
+    static toSortValue(value) {
+        if (typeof value === 'number') return value;
+        if (Array.isArray(value)) return value.length;
+        if (value === '∞') return Infinity;
+
+        const text = InteractiveTable.toPlainText(value);
+        if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+        return text.toLowerCase();
+    }
+
+    // * Rows
+
+    /**
+     * Get the rows that match the filter, in the chosen order.
+     * @returns {Object[]} The visible rows.
+     */
+    getVisibleRows() {
+        let rows = this.state.filterText
+            ? this.rows.filter(row => this.searchTexts.get(row).includes(this.state.filterText))
+            : [...this.rows];
+
+        if (this.columns.includes(this.state.sortColumn)) {
+            const direction = this.state.sortOrder === 'asc' ? 1 : -1;
+            rows.sort((a, b) => {
+                const aValue = InteractiveTable.toSortValue(a[this.state.sortColumn]);
+                const bValue = InteractiveTable.toSortValue(b[this.state.sortColumn]);
+
+                if (typeof aValue === 'number' && typeof bValue === 'number') {
+                    return (aValue - bValue || 0) * direction;
+                }
+
+                return String(aValue).localeCompare(String(bValue)) * direction;
+            });
+        }
+
+        return rows;
+    }
+
+    // * Rendering
+
+    /**
+     * Build the toolbar, the table and the pager.
+     */
+    render() {
+        this.containerEl.empty();
+
+        const toolbar = this.containerEl.createDiv({ cls: 'ola-table-toolbar' });
+
+        const filterInput = toolbar.createEl('input', { cls: 'ola-table-filter', type: 'search', placeholder: 'Filter notes…' });
+        filterInput.value = this.state.filterText;
+        filterInput.addEventListener('input', () => {
+            this.state.filterText = filterInput.value.trim().toLowerCase();
+            this.state.page = 0;
+            this.renderRows();
+        });
+
+        const columnToggles = toolbar.createEl('details', { cls: 'ola-table-columns' });
+        columnToggles.createEl('summary', { text: 'Columns' });
+        for (const col of this.columns) {
+            const label = columnToggles.createEl('label');
+            const checkbox = label.createEl('input', { type: 'checkbox' });
+            checkbox.checked = !this.state.hiddenColumns.has(col);
+            label.appendText(` ${this.columnDisplayNames[col] || col}`);
+
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.state.hiddenColumns.delete(col);
+                } else {
+                    this.state.hiddenColumns.add(col);
+                }
+                this.renderHeader();
+                this.renderRows();
+            });
+        }
+
+        this.tableEl = this.containerEl.createEl('table', { cls: 'ola-view-table' });
+        this.headEl = this.tableEl.createEl('thead');
+        this.bodyEl = this.tableEl.createEl('tbody');
+        this.pagerEl = this.containerEl.createDiv({ cls: 'ola-table-pager' });
+
+        this.renderHeader();
+        this.renderRows();
+    }
+
+    /**
+     * Render the header; clicking a column sorts by it, clicking it again reverses the order.
+     */
+    renderHeader() {
+        this.headEl.empty();
+        const headerRow = this.headEl.createEl('tr');
+
+        for (const col of this.columns.filter(col => !this.state.hiddenColumns.has(col))) {
+            const th = headerRow.createEl('th', { cls: 'ola-view-table ola-sortable', text: this.columnDisplayNames[col] || col });
+
+            if (col === this.state.sortColumn) {
+                th.addClass(this.state.sortOrder === 'asc' ? 'is-sorted-asc' : 'is-sorted-desc');
+            }
+
+            th.addEventListener('click', () => {
+                this.state.sortOrder = col === this.state.sortColumn && this.state.sortOrder === 'asc' ? 'desc' : 'asc';
+                this.state.sortColumn = col;
+                this.state.page = 0;
+                this.renderHeader();
+                this.renderRows();
+            });
+        }
+    }
+
+    /**
+     * Render the rows of the current page and update the pager.
+     */
+    renderRows() {
+        const rows = this.getVisibleRows();
+        const pageCount = this.pageSize > 0 ? Math.max(1, Math.ceil(rows.length / this.pageSize)) : 1;
+        this.state.page = Math.min(this.state.page, pageCount - 1);
+
+        const pageRows = this.pageSize > 0 ? rows.slice(this.state.page * this.pageSize, (this.state.page + 1) * this.pageSize) : rows;
+        const columns = this.columns.filter(col => !this.state.hiddenColumns.has(col));
+
+        this.bodyEl.empty();
+        for (const row of pageRows) {
+            const tr = this.bodyEl.createEl('tr');
+            for (const col of columns) {
+                this.plugin.renderCellContent(tr.createEl('td', { cls: col }), row[col], this.sourcePath);
+            }
+        }
+
+        this.pagerEl.empty();
+        if (pageCount > 1) {
+            const previous = this.pagerEl.createEl('button', { text: '‹ Previous' });
+            previous.disabled = this.state.page === 0;
+            previous.addEventListener('click', () => {
+                this.state.page--;
+                this.renderRows();
+            });
+
+            this.pagerEl.createSpan({ cls: 'ola-table-page', text: `Page ${this.state.page + 1} of ${pageCount} (${rows.length} ${rows.length === 1 ? 'row' : 'rows'})` });
+
+            const next = this.pagerEl.createEl('button', { text: 'Next ›' });
+            next.disabled = this.state.page === pageCount - 1;
+            next.addEventListener('click', () => {
+                this.state.page++;
+                this.renderRows();
+            });
+        } else if (this.state.filterText) {
+            this.pagerEl.createSpan({ cls: 'ola-table-page', text: `${rows.length} of ${this.rows.length} ${this.rows.length === 1 ? 'row' : 'rows'}` });
+        }
+    }
+}
+
+
+
+
+
+
+
+
+
+
+/**
+ * Modal for picking a note by name.
+ */
+class NoteSuggestModal extends FuzzySuggestModal {
+    /**
+     * Create a new note picker.
+     * @param {App} app - The Obsidian app instance.
+     * @param {Function} onChoose - Called with the chosen TFile.
+     * @param {string} [placeholder] - The prompt shown in the search box.
+     * @param {TFile[]} [files] - The files to pick from, in the order they are listed; all notes if not given.
+     */
+    constructor(app, onChoose, placeholder = 'Pick the note to find a link path to', files = null) {
+        super(app);
+        this.onChoose = onChoose;
+        this.files = files;
+        this.setPlaceholder(placeholder);
+    }
+
+    getItems() {
+        return this.files || this.app.vault.getMarkdownFiles();
+    }
+
+    getItemText(file) {
+        return file.path;
+    }
+
+    onChooseItem(file) {
+        this.onChoose(file);
+    }
+}
+
+
+
+
+
+
+
+
+
+
+/**
+ * Modal showing every file change of planned link fixes before they are applied.
+ */
+class LinkFixModal extends Modal {
+    /**
+     * Create a new preview of link fixes.
+     * @param {App} app - The Obsidian app instance.
+     * @param {Object[]} changes - The planned changes, as returned by LinkAnalysisCore.planLinkFixes.
+     * @param {Object[]} skipped - The links left as they are, with the reason.
+     * @param {Function} onApply - Called with the changes that are still selected.
+     */
+    constructor(app, changes, skipped, onApply) {
+        super(app);
+        this.changes = changes;
+        this.skipped = skipped;
+        this.onApply = onApply;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.addClass('ola-fix-modal');
+        this.titleEl.setText('Review link fixes');
+
+        const noteCount = this.changes.length;
+        contentEl.createEl('p', { text: `${noteCount} ${noteCount === 1 ? 'note' : 'notes'} will change. Untick a note to leave it as it is.` });
+
+        const checkboxes = this.changes.map(change => {
+            const changeEl = contentEl.createDiv({ cls: 'ola-fix-change' });
+            const labelEl = changeEl.createEl('label', { cls: 'ola-fix-file' });
+            const checkbox = labelEl.createEl('input', { type: 'checkbox' });
+            checkbox.checked = true;
+            labelEl.createSpan({ text: change.path });
+            labelEl.createSpan({ cls: 'ola-fix-action', text: change.action === 'create' ? 'new note' : `${change.edits.length} ${change.edits.length === 1 ? 'line' : 'lines'}` });
+
+            const diffEl = changeEl.createDiv({ cls: 'ola-fix-diff' });
+            if (change.action === 'create') {
+                const lines = change.after ? change.after.split('\n') : [];
+                lines.forEach(line => diffEl.createDiv({ cls: 'ola-fix-added', text: `+ ${line}` }));
+                if (lines.length === 0) {
+                    diffEl.createDiv({ cls: 'ola-fix-line', text: 'Empty note' });
+                }
+            } else {
+                for (const edit of change.edits) {
+                    diffEl.createDiv({ cls: 'ola-fix-line', text: `Line ${edit.line}` });
+                    diffEl.createDiv({ cls: 'ola-fix-removed', text: `- ${edit.before}` });
+                    diffEl.createDiv({ cls: 'ola-fix-added', text: `+ ${edit.after}` });
+                }
+            }
+
+            return checkbox;
+        });
+
+        if (this.skipped.length > 0) {
+            const skippedEl = contentEl.createEl('details', { cls: 'ola-fix-skipped' });
+            skippedEl.createEl('summary', { text: `Left as they are (${this.skipped.length})` });
+            const listEl = skippedEl.createEl('ul');
+            this.skipped.forEach(({ path, link, reason }) => listEl.createEl('li', { text: `${path} → ${link}: ${reason}` }));
+        }
+
+        const buttonsEl = contentEl.createDiv({ cls: 'modal-button-container' });
+        buttonsEl.createEl('button', { cls: 'mod-cta', text: 'Apply' }).addEventListener('click', () => {
+            const selectedChanges = this.changes.filter((change, index) => checkboxes[index].checked);
+            this.close();
+            this.onApply(selectedChanges);
+        });
+        buttonsEl.createEl('button', { text: 'Cancel' }).addEventListener('click', () => this.close());
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+
+
+
+
+
+
+
+
+
+/**
+ * Side panel with the link health issues of the whole vault, per rule.
+ */
+class LinkLintView extends ItemView {
+    /**
+     * Create a new link health panel.
+     * @param {WorkspaceLeaf} leaf - The leaf the panel is shown in.
+     * @param {LinkAnalyzer} plugin - The plugin that checks the rules.
+     */
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.isStale = false;
+        this.requestRender = debounce(() => this.render(), plugin.settings.renderDebounce);
+    }
+
+    getViewType() {
+        return LINT_VIEW_TYPE;
+    }
+
+    getDisplayText() {
+        return 'Link health';
+    }
+
+    getIcon() {
+        return 'activity';
+    }
+
+    async onOpen() {
+        // Edits only mark the panel stale; it refreshes once link resolution has caught up, and only while it is shown
+        this.registerEvent(this.app.metadataCache.on('changed', file => {
+            if (this.isPathInScope(file.path)) {
+                this.isStale = true;
+            }
+        }));
+        this.registerEvent(this.app.metadataCache.on('resolved', () => this.refreshIfStale()));
+
+        // Removed and renamed notes change where links elsewhere resolve, so they always count
+        this.registerEvent(this.app.vault.on('delete', () => this.refreshIfStale(true)));
+        this.registerEvent(this.app.vault.on('rename', () => this.refreshIfStale(true)));
+
+        // A panel hidden behind another tab or in a collapsed sidebar catches up when it is shown again
+        this.registerEvent(this.app.workspace.on('layout-change', () => this.refreshIfStale()));
+
+        await this.render();
+    }
+
+    // Whether a change to the note can change the lint results, as for code blocks without paths
+    isPathInScope(path) {
+        return this.plugin.core.isPathTargeted(path, this.plugin.core.getEffectivePaths([]));
+    }
+
+    refreshIfStale(isStale = false) {
+        this.isStale = this.isStale || isStale;
+
+        if (this.isStale && this.contentEl.isShown()) {
+            this.requestRender();
+        }
+    }
+
+    // Checks the whole vault with the default parameters from the settings
+    async render() {
+        try {
+            this.isStale = false;
+
+            const containerEl = this.contentEl;
+            containerEl.empty();
+            containerEl.addClass('ola-lint-view');
+
+            const headerEl = containerEl.createDiv({ cls: 'ola-lint-header' });
+            headerEl.createSpan({ cls: 'ola-lint-heading', text: 'Link health' });
+            headerEl.createEl('button', { text: 'Fix links…' }).addEventListener('click', () => this.plugin.fixAllLinks());
+            headerEl.createEl('button', { text: 'Refresh' }).addEventListener('click', () => this.render());
+
+            const outputEl = containerEl.createDiv();
+            const diagnostics = new Diagnostics();
+            const params = await this.plugin.core.parseParams('mode: lint', diagnostics);
+            const analysis = await this.plugin.core.validateParams(params, diagnostics)
+                ? await this.plugin.core.runAnalysis(params, null, diagnostics)
+                : null;
+
+            if (!analysis) {
+                await this.plugin.renderDiagnostics(outputEl, diagnostics);
+                return;
+            }
+
+            const lintData = await this.plugin.core.lintLinkData(analysis.linkData, analysis.fileNameMap, params);
+            await this.plugin.renderHTMLLint(outputEl, lintData, '');
+
+        } catch (error) {
+            await handleError('An error occurred in the link health panel', error, false);
+            this.contentEl.createDiv({ cls: 'ola-message', text: `An error occurred: ${error.message}` });
+        }
+    }
+}
+
+
+
+
+
+
+
+
+
+
+/**
+ * Settings tab with the vault-wide defaults of the plugin.
+ */
+class LinkAnalyzerSettingTab extends PluginSettingTab {
+    /**
+     * Create a new settings tab.
+     * @param {App} app - The Obsidian app.
+     * @param {LinkAnalyzer} plugin - The plugin whose settings are edited.
+     */
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+    }
+
+    display() {
+        const { containerEl } = this;
+        const settings = this.plugin.settings;
+        const splitList = value => value.split(',').map(str => str.trim()).filter(str => str);
+
+        containerEl.empty();
+
+        // Text settings are saved only while valid; until then the problem is shown under the setting
+        const addValidatedText = (setting, value, parse, validate, save) => {
+            const errorEl = setting.descEl.createDiv({ cls: 'ola-setting-error' });
+            setting.addText(text => text
+                .setValue(value)
+                .onChange(async value => {
+                    const parsedValue = parse(value);
+                    const diagnostics = new Diagnostics();
+                    const isValid = await validate(parsedValue, diagnostics);
+
+                    errorEl.setText(isValid ? '' : diagnostics.getSortedProblems().map(problem => problem.message).join(' '));
+                    if (isValid) {
+                        await save(parsedValue);
+                    }
+                }));
+        };
+
+        containerEl.createEl('h3', { text: 'Default parameters' });
+        containerEl.createEl('p', { cls: 'setting-item-description', text: 'Used when a code block or command does not set the parameter itself.' });
+
+        new Setting(containerEl)
+            .setName('Sort by')
+            .addDropdown(dropdown => dropdown
+                .addOptions({
+                    name: 'Name',
+                    outgoingCount: 'Outgoing count',
+                    incomingCount: 'Incoming count',
+                    pageRank: 'PageRank',
+                    betweenness: 'Betweenness centrality',
+                    degreeRatio: 'In/out degree ratio',
+                    clustering: 'Clustering coefficient',
+                    distance: 'Distance from current note'
+                })
+                .setValue(settings.sort)
+                .onChange(async value => {
+                    settings.sort = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Sort order')
+            .addDropdown(dropdown => dropdown
+                .addOptions({ desc: 'Descending', asc: 'Ascending' })
+                .setValue(settings.sortOrder)
+                .onChange(async value => {
+                    settings.sortOrder = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('File type')
+            .setDesc('Which notes are listed, based on their links.')
+            .addDropdown(dropdown => dropdown
+                .addOptions({
+                    all: 'All',
+                    noLinks: 'No links',
+                    onlyOutgoingNoIncoming: 'Only outgoing, no incoming',
+                    onlyIncomingNoOutgoing: 'Only incoming, no outgoing',
+                    bothIncomingAndOutgoing: 'Both incoming and outgoing',
+                    eitherIncomingOrOutgoing: 'Either incoming or outgoing'
+                })
+                .setValue(settings.fileType)
+                .onChange(async value => {
+                    settings.fileType = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        addValidatedText(
+            new Setting(containerEl)
+                .setName('Excluded columns')
+                .setDesc(`Comma-separated. Available: ${Object.keys(DEFAULT_COLUMN_DISPLAY_NAMES).join(', ')}.`),
+            settings.excludeCol.join(', '),
+            splitList,
+            (excludeCol, diagnostics) => this.plugin.core.validateExcludeCol(excludeCol, diagnostics),
+            async excludeCol => {
+                settings.excludeCol = excludeCol;
+                await this.plugin.saveSettings();
+            });
+
+        addValidatedText(
+            new Setting(containerEl)
+                .setName('Link kinds')
+                .setDesc('Comma-separated. Available: links, embeds, frontmatter, canvas.'),
+            settings.linkKinds.join(', '),
+            splitList,
+            (linkKinds, diagnostics) => this.plugin.core.validateLinkKinds(linkKinds, diagnostics),
+            async linkKinds => {
+                settings.linkKinds = linkKinds;
+                await this.plugin.saveSettings();
+            });
+
+        new Setting(containerEl)
+            .setName('Link style')
+            .setDesc('How notes are linked in tables inserted by the editor commands.')
+            .addDropdown(dropdown => dropdown
+                .addOptions({ wikilink: 'Wikilinks: [[Note]]', markdown: 'Markdown links: [Note](Note.md)' })
+                .setValue(settings.linkStyle)
+                .onChange(async value => {
+                    settings.linkStyle = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        addValidatedText(
+            new Setting(containerEl)
+                .setName('Rows per page')
+                .setDesc('Rows per page of tables rendered in reading view. 0 shows all rows.'),
+            String(settings.pageSize),
+            Number,
+            (pageSize, diagnostics) => this.plugin.core.validatePageSize(pageSize, diagnostics),
+            async pageSize => {
+                settings.pageSize = pageSize;
+                await this.plugin.saveSettings();
+            });
+
+        new Setting(containerEl)
+            .setName('Show statistics')
+            .addToggle(toggle => toggle
+                .setValue(settings.showStats)
+                .onChange(async value => {
+                    settings.showStats = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'Analysis' });
+
+        new Setting(containerEl)
+            .setName('Excluded folders')
+            .setDesc('One folder per line. Never analyzed unless a code block lists the folder in its paths.')
+            .addTextArea(textArea => textArea
+                .setPlaceholder('Templates\nArchive')
+                .setValue(settings.excludeFolders.join('\n'))
+                .onChange(async value => {
+                    settings.excludeFolders = value.split('\n').map(str => str.trim()).filter(str => str);
+                    await this.plugin.saveSettings();
+                }));
+
+        addValidatedText(
+            new Setting(containerEl)
+                .setName('Render debounce')
+                .setDesc('Milliseconds to wait after a change before rendered blocks refresh. Applies to blocks rendered afterwards.'),
+            String(settings.renderDebounce),
+            Number,
+            async (renderDebounce, diagnostics) => {
+                if (Number.isInteger(renderDebounce) && renderDebounce >= 0) {
+                    return true;
+                }
+                await diagnostics.add({ message: `Invalid value: ${renderDebounce}. Expected a whole number of milliseconds, 0 or more.` });
+                return false;
+            },
+            async renderDebounce => {
+                settings.renderDebounce = renderDebounce;
+                await this.plugin.saveSettings();
+            });
+
+        new Setting(containerEl)
+            .setName('Debug logging')
+            .setDesc('Write detailed progress to the developer console.')
+            .addToggle(toggle => toggle
+                .setValue(settings.debugMode)
+                .onChange(async value => {
+                    settings.debugMode = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'Link health' });
+        containerEl.createEl('p', { cls: 'setting-item-description', text: "Rules checked by the link health panel and 'mode: lint'." });
+
+        for (const [rule, title] of Object.entries(LINT_RULES)) {
+            new Setting(containerEl)
+                .setName(title)
+                .addToggle(toggle => toggle
+                    .setValue(settings.lintRules.includes(rule))
+                    .onChange(async value => {
+                        settings.lintRules = Object.keys(LINT_RULES).filter(lintRule => lintRule === rule ? value : settings.lintRules.includes(lintRule));
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        addValidatedText(
+            new Setting(containerEl)
+                .setName('Hub threshold')
+                .setDesc('Notes with more links than this, incoming and outgoing together, are reported as hubs.'),
+            String(settings.hubThreshold),
+            Number,
+            (hubThreshold, diagnostics) => this.plugin.core.validateHubThreshold(hubThreshold, diagnostics),
+            async hubThreshold => {
+                settings.hubThreshold = hubThreshold;
+                await this.plugin.saveSettings();
+            });
+
+        new Setting(containerEl)
+            .setName('New note template')
+            .setDesc('Note used as the template for notes created by link fixes. {{title}}, {{date}} and {{time}} are filled in.')
+            .addText(text => text
+                .setPlaceholder('Templates/New note')
+                .setValue(settings.newNoteTemplate)
+                .onChange(async value => {
+                    settings.newNoteTemplate = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'Export' });
+
+        new Setting(containerEl)
+            .setName('Export folder')
+            .setDesc('Vault folder the export commands write their files to. Created if missing.')
+            .addText(text => text
+                .setPlaceholder(DEFAULT_SETTINGS.exportFolder)
+                .setValue(settings.exportFolder)
+                .onChange(async value => {
+                    settings.exportFolder = value.trim() || DEFAULT_SETTINGS.exportFolder;
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'Column names' });
+
+        for (const [column, defaultName] of Object.entries(DEFAULT_COLUMN_DISPLAY_NAMES)) {
+            new Setting(containerEl)
+                .setName(column)
+                .addText(text => text
+                    .setPlaceholder(defaultName)
+                    .setValue(settings.columnDisplayNames[column] || '')
+                    .onChange(async value => {
+                        settings.columnDisplayNames = { ...settings.columnDisplayNames, [column]: value.trim() };
+                        await this.plugin.saveSettings();
+                    }));
+        }
+    }
+}
+
+
+
+
+
+
+
+
+
+
+/**
+ * Class running the link analysis, from parsing the parameters to generating Markdown.
+ * It only needs an app with a vault and a metadata cache, so it also runs outside Obsidian (see headless.js).
+ */
+class LinkAnalysisCore {
+    /**
+     * Create a new LinkAnalysisCore object.
+     * @param {Object} app - The app whose vault and metadataCache are analyzed.
+     * @param {Object} [settings] - The vault-wide defaults, see DEFAULT_SETTINGS.
+     * @param {LinkIndex} [linkIndex] - The index of resolved links to read and update.
+     * @param {Function} [onLinkIndexChange] - Called when the link index has unsaved entries.
+     */
+    constructor(app, settings = { ...DEFAULT_SETTINGS }, linkIndex = new LinkIndex(), onLinkIndexChange = () => {}) {
+        this.app = app;
+        this.settings = settings;
+        this.linkIndex = linkIndex;
+        this.onLinkIndexChange = onLinkIndexChange;
+    }
+
+    // * Utilities and auxiliary functions
+
+    // Problems are recorded in diagnostics when given, otherwise only logged
+    async parseParams(line, diagnostics = null) {
+        try {
+            // Initialize an object to hold the parsed parameters with default values from the settings
+            const params = {
+                mode: 'table',
+                paths: [],
+                tags: [],
+                where: [],
+                modified: null,
+                created: null,
+                sort: this.settings.sort,
+                sortOrder: this.settings.sortOrder,
+                clusterBy: 'weak',
+                minClusterSize: 1,
+                from: null,
+                to: null,
+                undirected: false,
+                depth: null,
+                root: null,
+                output: 'table',
+                pageSize: this.settings.pageSize,
+                linkStyle: this.settings.linkStyle,
+                showAliases: false,
+                lintRules: [...this.settings.lintRules],
+                hubThreshold: this.settings.hubThreshold,
+                maxIncoming: 0,
+                col: [],
+                excludeCol: [...this.settings.excludeCol],
+                fileType: this.settings.fileType,
+                linkKinds: [...this.settings.linkKinds],
+                showStats: this.settings.showStats
+            };
+
+            // Expected value type of each parameter
+            const paramTypes = {
+                mode: 'string',
+                paths: 'list',
+                tags: 'list',
+                where: 'conditions',
+                modified: 'string',
+                created: 'string',
+                sort: 'string',
+                sortOrder: 'string',
+                clusterBy: 'string',
+                minClusterSize: 'number',
+                from: 'string',
+                to: 'string',
+                undirected: 'boolean',
+                depth: 'number',
+                root: 'string',
+                output: 'string',
+                pageSize: 'number',
+                linkStyle: 'string',
+                showAliases: 'boolean',
+                lintRules: 'list',
+                hubThreshold: 'number',
+                maxIncoming: 'number',
+                col: 'list',
+                excludeCol: 'list',
+                fileType: 'string',
+                linkKinds: 'list',
+                showStats: 'boolean'
+            };
+
+            const problems = [];
+            const entries = await this.parseParamSource(line, problems);
+
+            for (const { key, value, quoted, line: lineNumber } of entries) {
+                await debugLog(`Parsed line ${lineNumber} - Key: ${key}, Value: ${JSON.stringify(value)}`);
+
+                if (diagnostics) {
+                    diagnostics.lines[key] = lineNumber;
+                }
+
+                if (!paramTypes.hasOwnProperty(key)) {
+                    problems.push({ line: lineNumber, key, message: `Unknown parameter '${key}'.`, allowed: Object.keys(paramTypes) });
+                    continue;
+                }
+
+                // An empty value keeps the default, as before
+                if (value === null || value === '') {
+                    continue;
+                }
+
+                const normalized = await this.normalizeParamValue(paramTypes[key], value, quoted);
+                if (normalized.error) {
+                    problems.push({ line: lineNumber, key, message: `Invalid value for '${key}': ${normalized.error}` });
+                    continue;
+                }
+
+                params[key] = key === 'tags'
+                    ? normalized.value.map(tag => tag.replace(/^(-?)#/, '$1'))
+                    : normalized.value;
+            }
+
+            for (const problem of problems) {
+                await debugLog(`Parameter problem on line ${problem.line}: ${problem.message}`);
+
+                if (diagnostics) {
+                    await diagnostics.add(problem);
+                }
+            }
+
+            await debugLog('Parsed parameters:', params);
+            return params;
+
+        } catch (error) {
+            await handleError("An error occurred in parseParams", error);
+        }
+    }
+
+
+    // Parses the YAML subset used by code blocks into [{ key, value, quoted, line }]:
+    // 'key: value' lines with plain, quoted, boolean or [flow, list] values,
+    // and 'key:' followed by indented '- item' lines (list) or 'name: value' lines (object).
+    // Only ' # ' starts a comment, so the older 'tags: #a, #b' form keeps working.
+    async parseParamSource(source, problems) {
+        const entries = [];
+        const lines = source.split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            const text = lines[i];
+            const lineNumber = i + 1;
+
+            if (!text.trim() || text.trim().startsWith('#')) {
+                continue;
+            }
+
+            if (/^\s/.test(text)) {
+                problems.push({ line: lineNumber, key: null, message: `Unexpected indentation. Nested lines must follow a 'key:' line with no value.` });
+                continue;
+            }
+
+            const separatorIndex = text.indexOf(':');
+            if (separatorIndex <= 0) {
+                problems.push({ line: lineNumber, key: null, message: `Expected 'key: value', got '${text.trim()}'.` });
+                continue;
+            }
+
+            const key = text.substring(0, separatorIndex).trim();
+            const rawValue = this.stripParamComment(text.substring(separatorIndex + 1)).trim();
+
+            if (rawValue) {
+                const parsed = await this.parseParamValue(rawValue);
+                if (parsed.error) {
+                    problems.push({ line: lineNumber, key, message: parsed.error });
+                    continue;
+                }
+                entries.push({ key, value: parsed.value, quoted: parsed.quoted, line: lineNumber });
+                continue;
+            }
+
+            // Collect the indented block belonging to this key
+            const blockLines = [];
+            while (i + 1 < lines.length && (/^\s+\S/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+                i++;
+                const blockText = this.stripParamComment(lines[i]).trim();
+                if (blockText) {
+                    blockLines.push({ text: blockText, line: i + 1 });
+                }
+            }
+
+            if (blockLines.length === 0) {
+                entries.push({ key, value: null, quoted: false, line: lineNumber });
+                continue;
+            }
+
+            const isList = blockLines[0].text.startsWith('-');
+            const value = isList ? [] : {};
+            let hasError = false;
+
+            for (const blockLine of blockLines) {
+                const itemMatch = isList
+                    ? blockLine.text.match(/^-\s*(.*)$/)
+                    : blockLine.text.match(/^([^:]+?)\s*:\s*(.*)$/);
+
+                if (!itemMatch) {
+                    problems.push({ line: blockLine.line, key, message: isList ? `Expected '- item' in the list for '${key}'.` : `Expected 'name: value' in the object for '${key}'.` });
+                    hasError = true;
+                    continue;
+                }
+
+                const parsed = await this.parseParamValue(isList ? itemMatch[1] : itemMatch[2]);
+                if (parsed.error) {
+                    problems.push({ line: blockLine.line, key, message: parsed.error });
+                    hasError = true;
+                    continue;
+                }
+
+                if (isList) {
+                    value.push(parsed.value);
+                } else {
+                    value[itemMatch[1]] = parsed.value;
+                }
+            }
+
+            if (!hasError) {
+                entries.push({ key, value, quoted: false, line: lineNumber });
+            }
+        }
+
+        return entries;
+    }
+
+
+    // Cuts a trailing '# comment' off a value: a '#' after a space and before a space or the end, outside quotes
+    stripParamComment(text) {
+        let quote = null;
+        let itemStart = true;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quote) {
+                if (quote === '"' && char === '\\') {
+                    i++;
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if ((char === '"' || char === "'") && itemStart) {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1])) && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+                return text.substring(0, i);
+            }
+
+            if (!/\s/.test(char)) {
+                itemStart = !quote && [',', '[', '-', ':'].includes(char);
+            }
+        }
+
+        return text;
+    }
+
+
+    // Parses a single value: "double" or 'single' quoted strings, [flow, lists], true/false, null or plain text.
+    // A [[wikilink]] is plain text, not a nested list.
+    async parseParamValue(text) {
+        const value = text.trim();
+
+        if (value.startsWith('"') || value.startsWith("'")) {
+            const quotedMatch = value.match(/^"((?:\\.|[^"\\])*)"$/) || value.match(/^'((?:''|[^'])*)'$/);
+            if (!quotedMatch) {
+                // A quoted first item of a comma-separated list, such as '"a,b", c'
+                const split = this.splitParamList(value);
+                if (split.error) {
+                    return split;
+                }
+                if (split.items.length > 1) {
+                    return await this.parseParamList(value);
+                }
+                return { error: `Unexpected text after the closing ${value[0]} in ${value}` };
+            }
+
+            return {
+                value: value[0] === '"' ? quotedMatch[1].replace(/\\(["\\])/g, '$1') : quotedMatch[1].replace(/''/g, "'"),
+                quoted: true
+            };
+        }
+
+        if (value.startsWith('[') && !/^\[\[.*\]\]$/.test(value)) {
+            if (!value.endsWith(']')) {
+                return { error: `Missing closing ] in ${value}` };
+            }
+
+            return await this.parseParamList(value.slice(1, -1));
+        }
+
+        if (/^(true|false)$/i.test(value)) {
+            return { value: value.toLowerCase() === 'true', quoted: false };
+        }
+
+        if (value === 'null' || value === '~') {
+            return { value: null, quoted: false };
+        }
+
+        return { value, quoted: false };
+    }
+
+
+    // Parses comma-separated items
+    async parseParamList(text) {
+        const split = this.splitParamList(text);
+        if (split.error) {
+            return split;
+        }
+
+        const parsedItems = [];
+        for (const item of split.items) {
+            const parsed = await this.parseParamValue(item);
+            if (parsed.error) {
+                return parsed;
+            }
+            parsedItems.push(parsed.value);
+        }
+
+        return { value: parsedItems, quoted: false };
+    }
+
+
+    // Splits comma-separated items, keeping commas inside items that start with a quote and inside /regex/ items
+    splitParamList(text) {
+        const items = [];
+        let current = '';
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const atItemStart = !current.trim();
+            const regexMatch = atItemStart && char === '/'
+                ? text.substring(i).match(/^\/(?:\\.|[^\\])*?\/[a-z]*\s*(?=,|$)/)
+                : null;
+
+            if (quote) {
+                if (quote === '"' && char === '\\' && i + 1 < text.length) {
+                    current += char + text[++i];
+                    continue;
+                }
+                if (char === quote) quote = null;
+                current += char;
+            } else if (regexMatch) {
+                current += regexMatch[0];
+                i += regexMatch[0].length - 1;
+            } else if ((char === '"' || char === "'") && atItemStart) {
+                quote = char;
+                current += char;
+            } else if (char === ',') {
+                items.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        if (quote) {
+            return { error: `Missing closing ${quote} in ${text.trim()}` };
+        }
+
+        if (current.trim() || items.length > 0) {
+            items.push(current);
+        }
+
+        return { items };
+    }
+
+
+    // Converts a parsed value to the parameter's type, returning { value } or { error }
+    async normalizeParamValue(type, value, quoted) {
+        const isScalar = item => ['string', 'number', 'boolean'].includes(typeof item);
+
+        if (type === 'boolean') {
+            if (typeof value === 'boolean') {
+                return { value };
+            }
+            return { error: `expected true or false, got ${JSON.stringify(value)}.` };
+        }
+
+        if (type === 'number') {
+            const number = Number(value);
+            if (typeof value !== 'boolean' && isScalar(value) && String(value).trim() !== '' && Number.isFinite(number)) {
+                return { value: number };
+            }
+            return { error: `expected a number, got ${JSON.stringify(value)}.` };
+        }
+
+        if (type === 'string') {
+            if (isScalar(value)) {
+                return { value: String(value) };
+            }
+            return { error: `expected a single value, got ${Array.isArray(value) ? 'a list' : 'an object'}.` };
+        }
+
+        if (type === 'conditions' && value && typeof value === 'object' && !Array.isArray(value)) {
+            // 'where:' as an object: 'status: active' or 'priority: ">= 2"'
+            const conditions = [];
+            for (const [property, condition] of Object.entries(value)) {
+                if (!isScalar(condition)) {
+                    return { error: `expected a value for property '${property}'.` };
+                }
+                const conditionText = String(condition);
+                conditions.push(/^(!=|>=|<=|=|>|<)/.test(conditionText) ? `${property} ${conditionText}` : `${property} = ${conditionText}`);
+            }
+            return { value: conditions };
+        }
+
+        if (Array.isArray(value)) {
+            if (!value.every(isScalar)) {
+                return { error: 'expected a list of values.' };
+            }
+            return { value: value.map(item => String(item).trim()).filter(item => item) };
+        }
+
+        if (isScalar(value)) {
+            // Unquoted text keeps the comma-separated form; quoted text is a single entry
+            if (quoted || typeof value !== 'string') {
+                return { value: [String(value)] };
+            }
+
+            const parsed = await this.parseParamList(value);
+            if (parsed.error) {
+                return { error: parsed.error };
+            }
+            return { value: parsed.value.map(item => String(item).trim()).filter(item => item) };
+        }
+
+        return { error: 'expected a list of values.' };
+    }
+
+
+    // Records a validation problem in diagnostics when given; it is shown in the block, so only the debug log gets it
+    async reportProblem(diagnostics, operation, problem) {
+        await debugLog(`${operation}: ${problem.message}`);
+
+        if (diagnostics) {
+            await diagnostics.add(problem);
+        }
+    }
+
+
+    async validateMode(mode, diagnostics = null) {
+        try {
+            const validModes = ['table', 'unresolved', 'clusters', 'path', 'lint', 'suggest'];
+            if (!validModes.includes(mode)) {
+                await this.reportProblem(diagnostics, 'validateMode', { key: 'mode', message: `Invalid value for 'mode': ${mode}.`, allowed: validModes });
+                return false;
+            }
+
+            await debugLog(`Validated mode parameter: ${mode}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating mode', error);
+        }
+    }
+
+
+    async validatePaths(paths, diagnostics = null) {
+        try {
+            if (paths && !Array.isArray(paths)) {
+                await this.reportProblem(diagnostics, 'validatePaths', { key: 'paths', message: "Invalid type for 'paths'. Expected a list of paths.", allowed: null });
+                return false;
+            }
+
+            if (!paths || paths.length === 0) {
+                await debugLog("No 'paths' specified, will check all files.");
+                return true;
+            }
+
+            for (const path of paths) {
+                if (typeof path !== 'string') {
+                    await this.reportProblem(diagnostics, 'validatePaths', { key: 'paths', message: `Invalid path: ${path}. Expected a string.`, allowed: null });
+                    return false;
+                }
+
+                const regexMatch = this.matchPathRegex(path.replace(/^-/, ''));
+                if (regexMatch) {
+                    try {
+                        new RegExp(regexMatch.source, regexMatch.flags);
+                    } catch (error) {
+                        await this.reportProblem(diagnostics, 'validatePaths', { key: 'paths', message: `Invalid regular expression in 'paths': ${path}. ${error.message}`, allowed: null });
+                        return false;
+                    }
+                }
+            }
+
+            await debugLog(`Checking specified paths: ${paths.join(", ")}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating paths.', error);
+        }
+    }
+
+
+    async validateTags(tags, diagnostics = null) {
+        try {
+            if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag.replace(/^-/, '').length > 0)) {
+                await this.reportProblem(diagnostics, 'validateTags', { key: 'tags', message: "Invalid value for 'tags'. Expected a list of tags, e.g. #project, -#archive.", allowed: null });
+                return false;
+            }
+
+            await debugLog("Tags validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating tags', error);
+        }
+    }
+
+
+    async validateWhere(where, diagnostics = null) {
+        try {
+            if (!Array.isArray(where)) {
+                await this.reportProblem(diagnostics, 'validateWhere', { key: 'where', message: "Invalid value for 'where'. Expected a list of conditions.", allowed: null });
+                return false;
+            }
+
+            for (const condition of where) {
+                if (!(await this.parseCondition(condition))) {
+                    await this.reportProblem(diagnostics, 'validateWhere', { key: 'where', message: `Invalid condition in 'where': ${condition}. Expected 'property', '!property' or 'property <operator> value'.`, allowed: ['=', '!=', '>', '<', '>=', '<='] });
+                    return false;
+                }
+            }
+
+            await debugLog("Where conditions validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating where', error);
+        }
+    }
+
+
+    async validateDateRange(dateRange, name, diagnostics = null) {
+        try {
+            if (dateRange !== null && !(await this.parseDateRange(dateRange))) {
+                await this.reportProblem(diagnostics, 'validateDateRange', { key: name, message: `Invalid value for '${name}': ${dateRange}. Expected YYYY-MM-DD, YYYY-MM-DD..YYYY-MM-DD (either side may be left open) or a number of days such as 30d.`, allowed: null });
+                return false;
+            }
+
+            await debugLog(`Date range for ${name} validated successfully.`);
+            return true;
+
+        } catch (error) {
+            await handleError(`An error occurred while validating ${name}`, error);
+        }
+    }
+
+
+    async validateSort(sort, diagnostics = null) {
+        try {
+            const validSortOptions = ['name', 'outgoingCount', 'incomingCount', 'pageRank', 'betweenness', 'degreeRatio', 'clustering', 'distance'];
+            if (!validSortOptions.includes(sort)) {
+                await this.reportProblem(diagnostics, 'validateSort', { key: 'sort', message: `Invalid value for 'sort': ${sort}.`, allowed: validSortOptions });
+                return false;
+            }
+
+            await debugLog(`Validated sort parameter: ${sort}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating sort', error);
+        }
+    }
+
+
+    async validateSortOrder(sortOrder, diagnostics = null) {
+        try {
+            const validSortOrderOptions = ['asc', 'desc'];
+            if (!validSortOrderOptions.includes(sortOrder)) {
+                await this.reportProblem(diagnostics, 'validateSortOrder', { key: 'sortOrder', message: `Invalid value for 'sortOrder': ${sortOrder}.`, allowed: validSortOrderOptions });
+                return false;
+            }
+
+            await debugLog(`Validated sortOrder parameter: ${sortOrder}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating sortOrder', error);
+        }
+    }
+
+
+    // Checked against the columns the table would show, given 'col'
+    async validateExcludeCol(excludeCol, diagnostics = null, col = []) {
+        try {
+            const validExcludeColValues = ['index', 'name', 'outgoingCount', 'incomingCount', 'outgoing', 'incoming', 'unresolved', 'outgoingKinds', 'pageRank', 'betweenness', 'degreeRatio', 'clustering', 'distance'];
+
+            if (!Array.isArray(excludeCol)) {
+                await this.reportProblem(diagnostics, 'validateExcludeCol', { key: 'excludeCol', message: "Invalid value for 'excludeCol'. Expected a list of columns.", allowed: validExcludeColValues });
+                return false;
+            }
+
+            const invalidColumns = excludeCol.filter(value => !validExcludeColValues.includes(value));
+            if (invalidColumns.length > 0) {
+                await this.reportProblem(diagnostics, 'validateExcludeCol', { key: 'excludeCol', message: `Invalid value(s) in 'excludeCol': ${invalidColumns.join(", ")}.`, allowed: validExcludeColValues });
+                return false;
+            }
+
+            if (this.getTableColumns(Array.isArray(col) ? col : [], excludeCol).length === 0) {
+                await this.reportProblem(diagnostics, 'validateExcludeCol', { key: 'excludeCol', message: "Invalid value for 'excludeCol'. Cannot exclude all shown columns.", allowed: null });
+                return false;
+            }
+
+            await debugLog("ExcludeCol validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating excludeCol', error);
+        }
+    }
+
+
+    async validateClusterBy(clusterBy, diagnostics = null) {
+        try {
+            const validClusterByOptions = ['weak', 'strong'];
+            if (!validClusterByOptions.includes(clusterBy)) {
+                await this.reportProblem(diagnostics, 'validateClusterBy', { key: 'clusterBy', message: `Invalid value for 'clusterBy': ${clusterBy}.`, allowed: validClusterByOptions });
+                return false;
+            }
+
+            await debugLog(`Validated clusterBy parameter: ${clusterBy}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating clusterBy', error);
+        }
+    }
+
+
+    async validateMinClusterSize(minClusterSize, diagnostics = null) {
+        try {
+            if (!Number.isInteger(minClusterSize) || minClusterSize < 1) {
+                await this.reportProblem(diagnostics, 'validateMinClusterSize', { key: 'minClusterSize', message: `Invalid value for 'minClusterSize': ${minClusterSize}. Expected a whole number of at least 1.`, allowed: null });
+                return false;
+            }
+
+            await debugLog(`Validated minClusterSize parameter: ${minClusterSize}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating minClusterSize', error);
+        }
+    }
+
+
+    async validatePathEnds(params, diagnostics = null) {
+        try {
+            let isValid = true;
+
+            for (const key of ['from', 'to']) {
+                if (params[key] !== null && (typeof params[key] !== 'string' || params[key].trim() === '')) {
+                    await this.reportProblem(diagnostics, 'validatePathEnds', { key, message: `Invalid value for '${key}'. Expected a note name or path.`, allowed: null });
+                    isValid = false;
+                }
+            }
+
+            // A 'to' that could not be read is already reported as invalid
+            if (params.mode === 'path' && !params.to && !diagnostics?.hasProblems('to')) {
+                await this.reportProblem(diagnostics, 'validatePathEnds', { key: 'to', message: "Missing 'to' parameter. 'mode: path' needs the note to find a path to.", allowed: null });
+                isValid = false;
+            }
+
+            await debugLog(`Validated from and to parameters: ${params.from}, ${params.to}`);
+            return isValid;
+
+        } catch (error) {
+            await handleError('An error occurred while validating from and to', error);
+        }
+    }
+
+
+    async validateUndirected(undirected, diagnostics = null) {
+        try {
+            if (typeof undirected !== 'boolean') {
+                await this.reportProblem(diagnostics, 'validateUndirected', { key: 'undirected', message: `Invalid value for 'undirected': ${undirected}.`, allowed: ['true', 'false'] });
+                return false;
+            }
+
+            await debugLog(`Validated undirected parameter: ${undirected}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating undirected', error);
+        }
+    }
+
+
+    async validateDepth(depth, diagnostics = null) {
+        try {
+            if (depth !== null && (!Number.isInteger(depth) || depth < 1)) {
+                await this.reportProblem(diagnostics, 'validateDepth', { key: 'depth', message: `Invalid value for 'depth': ${depth}. Expected a whole number of at least 1.`, allowed: null });
+                return false;
+            }
+
+            await debugLog(`Validated depth parameter: ${depth}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating depth', error);
+        }
+    }
+
+
+    async validateRoot(root, depth, diagnostics = null) {
+        try {
+            if (root !== null && (typeof root !== 'string' || root.trim() === '')) {
+                await this.reportProblem(diagnostics, 'validateRoot', { key: 'root', message: "Invalid value for 'root'. Expected a note name or path.", allowed: null });
+                return false;
+            }
+
+            if (root !== null && depth === null) {
+                await this.reportProblem(diagnostics, 'validateRoot', { key: 'root', message: "'root' only applies together with 'depth'.", allowed: null });
+                return false;
+            }
+
+            await debugLog(`Validated root parameter: ${root}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating root', error);
+        }
+    }
+
+
+    async validateOutputFormat(output, mode, diagnostics = null) {
+        try {
+            const validOutputFormats = ['table', 'graph'];
+            if (!validOutputFormats.includes(output)) {
+                await this.reportProblem(diagnostics, 'validateOutputFormat', { key: 'output', message: `Invalid value for 'output': ${output}.`, allowed: validOutputFormats });
+                return false;
+            }
+
+            if (output === 'graph' && mode !== 'table') {
+                await this.reportProblem(diagnostics, 'validateOutputFormat', { key: 'output', message: `'output: graph' is only available for 'mode: table', not for 'mode: ${mode}'.`, allowed: null });
+                return false;
+            }
+
+            await debugLog(`Validated output parameter: ${output}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating output', error);
+        }
+    }
+
+
+    async validatePageSize(pageSize, diagnostics = null) {
+        try {
+            if (!Number.isInteger(pageSize) || pageSize < 0) {
+                await this.reportProblem(diagnostics, 'validatePageSize', { key: 'pageSize', message: `Invalid value for 'pageSize': ${pageSize}. Expected a whole number, or 0 for all rows.`, allowed: null });
+                return false;
+            }
+
+            await debugLog(`Validated pageSize parameter: ${pageSize}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating pageSize', error);
+        }
+    }
+
+
+    async validateLinkStyle(linkStyle, diagnostics = null) {
+        try {
+            const validLinkStyles = ['wikilink', 'markdown'];
+            if (!validLinkStyles.includes(linkStyle)) {
+                await this.reportProblem(diagnostics, 'validateLinkStyle', { key: 'linkStyle', message: `Invalid value for 'linkStyle': ${linkStyle}.`, allowed: validLinkStyles });
+                return false;
+            }
+
+            await debugLog(`Validated linkStyle parameter: ${linkStyle}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating linkStyle', error);
+        }
+    }
+
+
+    async validateShowAliases(showAliases, diagnostics = null) {
+        try {
+            if (typeof showAliases !== 'boolean') {
+                await this.reportProblem(diagnostics, 'validateShowAliases', { key: 'showAliases', message: `Invalid value for 'showAliases': ${showAliases}.`, allowed: ['true', 'false'] });
+                return false;
+            }
+
+            await debugLog(`Validated showAliases parameter: ${showAliases}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating showAliases', error);
+        }
+    }
+
+
+    async validateLintRules(lintRules, diagnostics = null) {
+        try {
+            const validLintRules = Object.keys(LINT_RULES);
+
+            if (!Array.isArray(lintRules) || lintRules.length === 0) {
+                await this.reportProblem(diagnostics, 'validateLintRules', { key: 'lintRules', message: "Invalid value for 'lintRules'. Expected at least one rule.", allowed: validLintRules });
+                return false;
+            }
+
+            const invalidLintRules = lintRules.filter(value => !validLintRules.includes(value));
+            if (invalidLintRules.length > 0) {
+                await this.reportProblem(diagnostics, 'validateLintRules', { key: 'lintRules', message: `Invalid value(s) in 'lintRules': ${invalidLintRules.join(", ")}.`, allowed: validLintRules });
+                return false;
+            }
+
+            await debugLog("LintRules validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating lintRules', error);
+        }
+    }
+
+
+    async validateHubThreshold(hubThreshold, diagnostics = null) {
+        try {
+            if (!Number.isInteger(hubThreshold) || hubThreshold < 1) {
+                await this.reportProblem(diagnostics, 'validateHubThreshold', { key: 'hubThreshold', message: `Invalid value for 'hubThreshold': ${hubThreshold}. Expected a whole number of at least 1.`, allowed: null });
+                return false;
+            }
+
+            await debugLog(`Validated hubThreshold parameter: ${hubThreshold}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating hubThreshold', error);
+        }
+    }
+
+
+    async validateMaxIncoming(maxIncoming, diagnostics = null) {
+        try {
+            if (!Number.isInteger(maxIncoming) || maxIncoming < 0) {
+                await this.reportProblem(diagnostics, 'validateMaxIncoming', { key: 'maxIncoming', message: `Invalid value for 'maxIncoming': ${maxIncoming}. Expected a whole number of at least 0.`, allowed: null });
+                return false;
+            }
+
+            await debugLog(`Validated maxIncoming parameter: ${maxIncoming}`);
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating maxIncoming', error);
+        }
+    }
+
+
+    async validateCol(col, diagnostics = null) {
+        try {
+            const validColValues = ['index', 'name', 'outgoingCount', 'incomingCount', 'outgoing', 'incoming', 'unresolved', 'outgoingKinds', 'pageRank', 'betweenness', 'degreeRatio', 'clustering', 'distance'];
+
+            if (!Array.isArray(col)) {
+                await this.reportProblem(diagnostics, 'validateCol', { key: 'col', message: "Invalid value for 'col'. Expected a list of columns.", allowed: validColValues });
+                return false;
+            }
+
+            const invalidColumns = col.filter(value => !validColValues.includes(value));
+            if (invalidColumns.length > 0) {
+                await this.reportProblem(diagnostics, 'validateCol', { key: 'col', message: `Invalid value(s) in 'col': ${invalidColumns.join(", ")}.`, allowed: validColValues });
+                return false;
+            }
+
+            await debugLog("Col validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating col', error);
+        }
+    }
+
+
+    async validateFileType(fileType, diagnostics = null) {
+        try {
+            const validFileTypes = ['all', 'noLinks', 'onlyOutgoingNoIncoming', 'onlyIncomingNoOutgoing', 'bothIncomingAndOutgoing', 'eitherIncomingOrOutgoing'];
+
+            if (!validFileTypes.includes(fileType)) {
+                await this.reportProblem(diagnostics, 'validateFileType', { key: 'fileType', message: `Invalid value for 'fileType': ${fileType}.`, allowed: validFileTypes });
+                return false;
+            }
+
+            await debugLog("FileType validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating fileType', error);
+        }
+    }
+
+
+    async validateLinkKinds(linkKinds, diagnostics = null) {
+        try {
+            const validLinkKinds = ['links', 'embeds', 'frontmatter', 'canvas'];
+
+            if (!Array.isArray(linkKinds) || linkKinds.length === 0) {
+                await this.reportProblem(diagnostics, 'validateLinkKinds', { key: 'linkKinds', message: "Invalid value for 'linkKinds'. Expected at least one link kind.", allowed: validLinkKinds });
+                return false;
+            }
+
+            const invalidLinkKinds = linkKinds.filter(value => !validLinkKinds.includes(value));
+            if (invalidLinkKinds.length > 0) {
+                await this.reportProblem(diagnostics, 'validateLinkKinds', { key: 'linkKinds', message: `Invalid value(s) in 'linkKinds': ${invalidLinkKinds.join(", ")}.`, allowed: validLinkKinds });
+                return false;
+            }
+
+            await debugLog("LinkKinds validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating linkKinds', error);
+        }
+    }
+
+
+    async validateShowStats(showStats, diagnostics = null) {
+        try {
+            if (typeof showStats !== 'boolean') {
+                await this.reportProblem(diagnostics, 'validateShowStats', { key: 'showStats', message: "Invalid type for 'showStats'. Expected a boolean.", allowed: ['true', 'false'] });
+                return false;
+            }
+
+            await debugLog("ShowStats validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating showStats', error);
+        }
+    }
+
+
+    async validateParams(params, diagnostics = null) {
+        try {
+            if (!params) {
+                await this.reportProblem(diagnostics, 'validateParams', { key: null, message: 'Params object is null or undefined.', allowed: null });
+                return false;
+            }
+
+            const isModeValid = await this.validateMode(params.mode, diagnostics);
+            const isPathsValid = await this.validatePaths(params.paths, diagnostics);
+            const isTagsValid = await this.validateTags(params.tags, diagnostics);
+            const isWhereValid = await this.validateWhere(params.where, diagnostics);
+            const isModifiedValid = await this.validateDateRange(params.modified, 'modified', diagnostics);
+            const isCreatedValid = await this.validateDateRange(params.created, 'created', diagnostics);
+            const isSortValid = await this.validateSort(params.sort, diagnostics);
+            const isSortOrderValid = await this.validateSortOrder(params.sortOrder, diagnostics);
+            const isClusterByValid = await this.validateClusterBy(params.clusterBy, diagnostics);
+            const isMinClusterSizeValid = await this.validateMinClusterSize(params.minClusterSize, diagnostics);
+            const isPathEndsValid = await this.validatePathEnds(params, diagnostics);
+            const isUndirectedValid = await this.validateUndirected(params.undirected, diagnostics);
+            const isDepthValid = await this.validateDepth(params.depth, diagnostics);
+            const isRootValid = await this.validateRoot(params.root, params.depth, diagnostics);
+            const isOutputFormatValid = await this.validateOutputFormat(params.output, params.mode, diagnostics);
+            const isPageSizeValid = await this.validatePageSize(params.pageSize, diagnostics);
+            const isLinkStyleValid = await this.validateLinkStyle(params.linkStyle, diagnostics);
+            const isShowAliasesValid = await this.validateShowAliases(params.showAliases, diagnostics);
+            const isLintRulesValid = await this.validateLintRules(params.lintRules, diagnostics);
+            const isHubThresholdValid = await this.validateHubThreshold(params.hubThreshold, diagnostics);
+            const isMaxIncomingValid = await this.validateMaxIncoming(params.maxIncoming, diagnostics);
+            const isColValid = await this.validateCol(params.col, diagnostics);
+            const isExcludeColValid = await this.validateExcludeCol(params.excludeCol, diagnostics, params.col);
+            const isFileTypeValid = await this.validateFileType(params.fileType, diagnostics);
+            const isLinkKindsValid = await this.validateLinkKinds(params.linkKinds, diagnostics);
+            const isShowStatsValid = await this.validateShowStats(params.showStats, diagnostics);
+
+            if (!isModeValid || !isPathsValid || !isTagsValid || !isWhereValid || !isModifiedValid || !isCreatedValid || !isSortValid || !isSortOrderValid || !isClusterByValid || !isMinClusterSizeValid || !isPathEndsValid || !isUndirectedValid || !isDepthValid || !isRootValid || !isOutputFormatValid || !isPageSizeValid || !isLinkStyleValid || !isShowAliasesValid || !isLintRulesValid || !isHubThresholdValid || !isMaxIncomingValid || !isColValid || !isExcludeColValid || !isFileTypeValid || !isLinkKindsValid || !isShowStatsValid) {
+                await debugLog('Parameters failed validation.');
+                return false;
+            }
+
+            await debugLog("Parameters validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred while validating params', error);
+        }
+    }
+
+
+    async validateInput(targetPaths, fileType) {
+        try {
             await debugLog("Validating input parameters...");
 
-            if (!Array.isArray(targetPaths)) {
-                await handleError('validateInput', "Validation failed: targetPaths should be an array", false);
-                return false;
-            }
+            if (!Array.isArray(targetPaths)) {
+                await handleError('validateInput', "Validation failed: targetPaths should be an array", false);
+                return false;
+            }
+
+            if (!targetPaths.every(path => typeof path === 'string')) {
+                await handleError('validateInput', "Validation failed: All elements in targetPaths should be strings", false);
+                return false;
+            }
+
+            if (!fileType) {
+                await handleError('validateInput', "Validation failed: fileType should not be null or undefined", false);
+                return false;
+            }
+
+            await debugLog("Input parameters are valid.");
+            return true;
+
+        } catch (error) {
+            await handleError('An unexpected error occurred during input validation', error);
+        }
+    }
+
+
+    async validateLinkData(linkData) {
+        try {
+            await debugLog("Validating linkData...");
+
+            if (!linkData || !(linkData instanceof Map)) {
+                await handleError('validateLinkData', "Validation failed: Invalid linkData, must be a Map", false);
+                return false;
+            }
+
+            await debugLog("linkData validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An unexpected error occurred during linkData validation', error);
+        }
+    }
+
+
+    async validateStatsFields(stats) {
+        try {
+            await debugLog("Validating stats fields...", stats);
+
+            const requiredStatsFields = [
+                'totalFiles',
+                'totalDirectories',
+                'totalUniqueOutgoingLinks',
+                'totalUniqueIncomingLinks',
+                'totalOutgoingLinks',
+                'totalIncomingLinks',
+                'totalUnresolvedLinks',
+                'skippedFiles',
+                'filesInTable'
+            ];
+
+            for (const field of requiredStatsFields) {
+                if (stats[field] === undefined) {
+                    await handleError('validateStatsFields', `Field ${field} is missing in stats`, false);
+                    return false;
+                }
+            }
+
+            await debugLog("Stats fields validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An error occurred in validateStatsFields', error);
+        }
+    }
+
+
+    async validateOutput(linkData, stats) {
+        try {
+            await debugLog("Validating output data...");
+
+            const isLinkDataValid = await this.validateLinkData(linkData);
+            const areStatsFieldsValid = await this.validateStatsFields(stats);
+
+            if (!isLinkDataValid || !areStatsFieldsValid) {
+                return false;
+            }
+
+            await debugLog("Output data validated successfully.");
+            return true;
+
+        } catch (error) {
+            await handleError('An unexpected error occurred during output validation', error);
+        }
+    }
+
+
+
+
+
+
+
+
+
+
+    // * Data collection and analysis
+
+    async getFilesData(stats) {
+        try {
+            await debugLog("Fetching all files...");
+            const vault = this.app.vault;
+            const allFiles = await vault.getFiles();
+            const allMarkdownFiles = await vault.getMarkdownFiles();
+
+            if (allFiles && allFiles.length > 0) {
+                await stats.updateTotalFiles(allFiles.length);
+            }
+
+            if (allMarkdownFiles && allMarkdownFiles.length > 0) {
+                await stats.updateTotalFiles(allMarkdownFiles.length);
+            }
+
+            await debugLog("Fetched all files.");
+            return { allFiles, allMarkdownFiles };
+
+        } catch (error) {
+            await handleError("An error occurred while fetching files", error);
+            throw error;
+        }
+    }
+
+
+    async collectData(sourceFiles, currentFile, targetPaths, linkKinds, filters, stats) {
+        try {
+            const linkData = new Map();
+            const uniqueDirectories = new Set();
+            const fileNameMap = new Map();
+
+            if (!Array.isArray(sourceFiles) || !Array.isArray(targetPaths) || !Array.isArray(linkKinds) || !stats) {
+                await handleError('Data validation in collectData', 'Invalid input parameters');
+            }
+
+            await stats.updateTotalFiles(sourceFiles.length);
+
+            const effectivePaths = this.getEffectivePaths(targetPaths);
+
+            for (const file of sourceFiles) {
+                await debugLog(`Processing file: ${file.path}`);
+
+                if (!file.path.endsWith('.md') && !file.path.endsWith('.canvas')) {
+                    continue;
+                }
+
+                const fileName = file.path.split('/').pop().replace(/\.md$/, '');
+
+                if (fileNameMap.has(fileName)) {
+                    fileNameMap.set(fileName, fileNameMap.get(fileName) + 1);
+                } else {
+                    fileNameMap.set(fileName, 1);
+                }
+
+                if (currentFile && file.path === currentFile.path) {
+                    await stats.updateTotalFiles(stats.totalFiles - 1);
+                    continue;
+                }
+
+                const directory = file.path.split('/').slice(0, -1).join('/');
+                uniqueDirectories.add(directory);
+
+                if (this.isPathTargeted(file.path, effectivePaths) && await this.matchesFilters(file, filters)) {
+                    const indexEntry = await this.linkIndex.get(file) || await this.indexFile(file);
+
+                    if (!indexEntry) {
+                        await stats.updateSkippedFiles(1);
+                        continue;
+                    }
+
+                    const outgoingLinks = new Set();
+                    const unresolvedLinks = new Set();
+                    const outgoingKinds = {};
+
+                    for (const [kind, { resolved, unresolved }] of Object.entries(indexEntry.kinds)) {
+                        if (!linkKinds.includes(kind)) {
+                            continue;
+                        }
+
+                        resolved.forEach(link => outgoingLinks.add(link));
+                        unresolved.forEach(link => unresolvedLinks.add(link));
+                        outgoingKinds[kind] = new Set(resolved);
+                    }
+
+                    linkData.set(file.path, {
+                        name: await this.getLinkText(file.path),
+                        outgoing: outgoingLinks,
+                        outgoingKinds,
+                        unresolved: unresolvedLinks,
+                        incoming: new Set(),
+                        incomingCount: 0
+                    });
+                }
+
+                await stats.updateTotalDirectories(uniqueDirectories.size);
+            }
+
+            if (this.linkIndex.isDirty) {
+                this.onLinkIndexChange();
+            }
+
+            await debugLog('Data collection completed successfully');
+            return { linkData, fileNameMap };
+
+        } catch (error) {
+            await handleError("Error in collectData", error);
+        }
+    }
+
+
+    // Applies the tags, where, modified and created parameters; all given filters must match
+    async matchesFilters(file, filters) {
+        const { tags = [], where = [], modified = null, created = null } = filters || {};
+
+        if (modified && !(await this.isInDateRange(file.stat.mtime, modified))) {
+            return false;
+        }
+
+        if (created && !(await this.isInDateRange(file.stat.ctime, created))) {
+            return false;
+        }
+
+        if (tags.length === 0 && where.length === 0) {
+            return true;
+        }
+
+        const fileCache = this.app.metadataCache.getFileCache(file);
+
+        if (tags.length > 0 && !(await this.matchesTags(fileCache ? getAllTags(fileCache) || [] : [], tags))) {
+            return false;
+        }
+
+        for (const condition of where) {
+            if (!(await this.matchesCondition(fileCache?.frontmatter || {}, await this.parseCondition(condition)))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+
+    // A tag filter also matches nested tags, so 'project' matches #project/alpha; '-' entries exclude
+    async matchesTags(fileTags, tagFilters) {
+        const normalizedTags = fileTags.map(tag => tag.replace(/^#/, '').toLowerCase());
+        const hasTag = filter => normalizedTags.some(tag => tag === filter || tag.startsWith(filter + '/'));
+
+        const includeTags = tagFilters.filter(tag => !tag.startsWith('-')).map(tag => tag.toLowerCase());
+        const excludeTags = tagFilters.filter(tag => tag.startsWith('-')).map(tag => tag.substring(1).toLowerCase());
+
+        return (includeTags.length === 0 || includeTags.some(hasTag)) && !excludeTags.some(hasTag);
+    }
+
+
+    // Parses 'status = active', 'priority >= 2', 'status' (property exists) or '!status' (property missing)
+    async parseCondition(condition) {
+        const comparisonMatch = condition.match(/^([^!<>=\s]+)\s*(!=|>=|<=|=|>|<)\s*(.+)$/);
+        if (comparisonMatch) {
+            return {
+                key: comparisonMatch[1],
+                operator: comparisonMatch[2],
+                value: comparisonMatch[3].trim().replace(/^(["'])(.*)\1$/, '$2')
+            };
+        }
+
+        const existsMatch = condition.match(/^(!?)([^!<>=\s]+)$/);
+        if (existsMatch) {
+            return { key: existsMatch[2], operator: existsMatch[1] ? 'missing' : 'exists', value: null };
+        }
+
+        return null;
+    }
+
+
+    async matchesCondition(frontmatter, { key, operator, value }) {
+        const actual = frontmatter[key];
+        const isPresent = actual !== undefined && actual !== null;
+
+        if (operator === 'exists') return isPresent;
+        if (operator === 'missing') return !isPresent;
+
+        // List properties match when any of their items matches
+        const actualValues = Array.isArray(actual) ? actual : isPresent ? [actual] : [];
+
+        const compare = actualValue => {
+            const actualNumber = Number(actualValue);
+            const expectedNumber = Number(value);
+            if (actualValue !== '' && value !== '' && !isNaN(actualNumber) && !isNaN(expectedNumber)) {
+                return actualNumber - expectedNumber;
+            }
+            return String(actualValue).toLowerCase().localeCompare(value.toLowerCase());
+        };
+
+        const comparisonMapper = {
+            '=': () => actualValues.some(actualValue => compare(actualValue) === 0),
+            '!=': () => !actualValues.some(actualValue => compare(actualValue) === 0),
+            '>': () => actualValues.some(actualValue => compare(actualValue) > 0),
+            '<': () => actualValues.some(actualValue => compare(actualValue) < 0),
+            '>=': () => actualValues.some(actualValue => compare(actualValue) >= 0),
+            '<=': () => actualValues.some(actualValue => compare(actualValue) <= 0)
+        };
+
+        return comparisonMapper[operator]();
+    }
+
+
+    // Parses 'YYYY-MM-DD', 'YYYY-MM-DD..YYYY-MM-DD' with optional open ends, or '30d' for the last 30 days
+    async parseDateRange(dateRange) {
+        if (typeof dateRange !== 'string') {
+            return null;
+        }
+
+        const relativeMatch = dateRange.match(/^(\d+)d$/);
+        if (relativeMatch) {
+            return { from: Date.now() - Number(relativeMatch[1]) * 24 * 60 * 60 * 1000, to: Infinity };
+        }
+
+        const [fromText, toText] = dateRange.includes('..') ? dateRange.split('..').map(str => str.trim()) : [dateRange, dateRange];
+        const isDate = text => /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(`${text}T00:00:00`).getTime());
+
+        if ((fromText && !isDate(fromText)) || (toText && !isDate(toText)) || (!fromText && !toText)) {
+            return null;
+        }
+
+        return {
+            from: fromText ? new Date(`${fromText}T00:00:00`).getTime() : -Infinity,
+            to: toText ? new Date(`${toText}T23:59:59.999`).getTime() : Infinity
+        };
+    }
+
+
+    async isInDateRange(timestamp, dateRange) {
+        const range = await this.parseDateRange(dateRange);
+        return !!range && timestamp >= range.from && timestamp <= range.to;
+    }
+
+
+    // The excluded folders from the settings, each ending in '/'
+    getExcludedFolders() {
+        return this.settings.excludeFolders
+            .map(folder => folder.trim().replace(/\/*$/, '/'))
+            .filter(folder => folder !== '/');
+    }
+
+
+    // Adds the excluded folders from the settings, unless the block's paths explicitly include the folder
+    getEffectivePaths(targetPaths) {
+        const includePaths = targetPaths.filter(targetPath => !targetPath.startsWith('-'));
+
+        const excludeFolders = this.getExcludedFolders()
+            .filter(folder => !includePaths.some(targetPath => targetPath.startsWith(folder)))
+            .map(folder => `-${folder}`);
+
+        return [...targetPaths, ...excludeFolders];
+    }
+
+
+    // Entries prefixed with '-' exclude; see compilePathMatcher for the supported entry forms
+    isPathTargeted(path, targetPaths) {
+        const cacheKey = targetPaths.join('\n');
+
+        if (!this.pathMatcherCache) {
+            this.pathMatcherCache = new Map();
+        }
+
+        if (!this.pathMatcherCache.has(cacheKey)) {
+            // Every distinct 'paths' list gets matchers, so the least recently added are dropped
+            if (this.pathMatcherCache.size >= MAX_CACHED_PATH_MATCHERS) {
+                this.pathMatcherCache.delete(this.pathMatcherCache.keys().next().value);
+            }
+
+            this.pathMatcherCache.set(cacheKey, {
+                include: targetPaths.filter(targetPath => !targetPath.startsWith('-')).map(targetPath => this.compilePathMatcher(targetPath)),
+                exclude: targetPaths.filter(targetPath => targetPath.startsWith('-')).map(targetPath => this.compilePathMatcher(targetPath.substring(1)))
+            });
+        }
+
+        const { include, exclude } = this.pathMatcherCache.get(cacheKey);
+        const shouldIncludeAll = include.length === 0;
+
+        const shouldInclude = include.some(matches => matches(path));
+        const shouldExclude = exclude.some(matches => matches(path));
+
+        return (shouldIncludeAll || shouldInclude) && !shouldExclude;
+    }
+
+
+    // A 'paths' entry written as '/regex/flags' gives { source, flags }; other entries give null
+    // Entries between slashes without any regex syntax, such as '/Projects/', are paths from the vault root instead
+    matchPathRegex(pattern) {
+        const regexMatch = pattern.match(/^\/(.+)\/([dgimsuvy]*)$/);
+        if (!regexMatch || !/[\\^$.*+?()[\]{}|]/.test(regexMatch[1])) {
+            return null;
+        }
+
+        return { source: regexMatch[1], flags: regexMatch[2] };
+    }
+
+
+    // Builds a predicate for one 'paths' entry:
+    // '/regex/flags' tests the full path, 'folder/' matches the folder recursively,
+    // globs without '/' test the file name and other globs the full path,
+    // anything else matches a note by name or by path, with or without extension
+    compilePathMatcher(pattern) {
+        const regexMatch = this.matchPathRegex(pattern);
+        if (regexMatch) {
+            // Stateful flags would make repeated test() calls skip matches
+            const regex = new RegExp(regexMatch.source, regexMatch.flags.replace(/[gy]/g, ''));
+            return path => regex.test(path);
+        }
+
+        // Vault paths have no leading '/', so '/Projects/' is the folder Projects/
+        if (pattern.length > 1) {
+            pattern = pattern.replace(/^\/+/, '');
+        }
+
+        if (pattern.endsWith('/')) {
+            return path => pattern === '/' || path.startsWith(pattern);
+        }
+
+        if (/[*?]/.test(pattern)) {
+            const regex = globToRegExp(pattern);
+            return pattern.includes('/')
+                ? path => regex.test(path)
+                : path => regex.test(path.split('/').pop());
+        }
+
+        return path => {
+            const pathWithoutExtension = path.replace(/\.md$/, '');
+            const fileName = path.split('/').pop();
+            return [path, pathWithoutExtension, fileName, fileName.replace(/\.md$/, '')].includes(pattern);
+        };
+    }
+
+
+    // Resolves every link kind of a file and stores the result in the link index
+    async indexFile(file) {
+        try {
+            const linkReferences = await this.collectLinkReferences(file, ['links', 'embeds', 'frontmatter', 'canvas']);
+            if (!linkReferences) {
+                return null;
+            }
+
+            const kinds = {};
+            for (const [kind, links] of Object.entries(linkReferences)) {
+                const { resolvedLinks, unresolvedLinks } = await this.resolveLinks(links, file.path);
+                kinds[kind] = { resolved: Array.from(resolvedLinks), unresolved: Array.from(unresolvedLinks) };
+            }
+
+            return await this.linkIndex.set(file, kinds);
+
+        } catch (error) {
+            await handleError(`Failed to index ${file.path}`, error, false);
+            return null;
+        }
+    }
+
+
+    // Returns the raw link references of a file grouped by kind, or null if the file cannot be read
+    async collectLinkReferences(file, linkKinds) {
+        try {
+            const linkReferences = {};
+
+            if (file.extension === 'canvas') {
+                if (!linkKinds.includes('canvas')) {
+                    return linkReferences;
+                }
+
+                const canvasData = JSON.parse(await this.app.vault.cachedRead(file) || '{}');
+                linkReferences.canvas = [];
+
+                for (const node of canvasData.nodes || []) {
+                    if (node.type === 'file' && node.file) {
+                        linkReferences.canvas.push({ link: node.file });
+                    } else if (node.type === 'text' && node.text) {
+                        for (const match of node.text.matchAll(/!?\[\[([^\]|]+)(\|[^\]]*)?\]\]/g)) {
+                            linkReferences.canvas.push({ link: match[1] });
+                        }
+                    }
+                }
+
+                return linkReferences;
+            }
+
+            const fileCache = this.app.metadataCache.getFileCache(file);
+            if (!fileCache) {
+                return null;
+            }
+
+            if (linkKinds.includes('links')) linkReferences.links = fileCache.links || [];
+            if (linkKinds.includes('embeds')) linkReferences.embeds = fileCache.embeds || [];
+            if (linkKinds.includes('frontmatter')) linkReferences.frontmatter = fileCache.frontmatterLinks || [];
+
+            return linkReferences;
+
+        } catch (error) {
+            await handleError(`Failed to collect link references for ${file.path}`, error, false);
+            return null;
+        }
+    }
+
+
+    async resolveLinks(links, sourcePath) {
+        try {
+            const resolvedLinks = new Set();
+            const unresolvedLinks = new Set();
+
+            for (const link of links) {
+                const linkpath = getLinkpath(link.link);
+
+                // Links like [[#Heading]] point into the source note itself
+                if (!linkpath) {
+                    continue;
+                }
+
+                const targetFile = this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath);
+                if (targetFile) {
+                    resolvedLinks.add(targetFile.path);
+                } else {
+                    await debugLog(`Unresolved link in ${sourcePath}: ${link.link}`);
+                    unresolvedLinks.add(linkpath);
+                }
+            }
+
+            return { resolvedLinks, unresolvedLinks };
+
+        } catch (error) {
+            await handleError('An error occurred while resolving links', error);
+        }
+    }
+
+
+    async getLinkText(path) {
+        const file = this.app.vault.getAbstractFileByPath(path);
+        if (!(file instanceof TFile)) {
+            return path;
+        }
+
+        return this.app.metadataCache.fileToLinktext(file, '', true);
+    }
+
+
+    // A link in a prepared table cell; 'path' is null for links to notes that don't exist
+    async createLinkValue(path, showAliases = false) {
+        const file = this.app.vault.getAbstractFileByPath(path);
+        if (!(file instanceof TFile)) {
+            return { linkText: path, path: null, display: path };
+        }
+
+        const linkText = this.app.metadataCache.fileToLinktext(file, '', true);
+        const alias = showAliases ? parseFrontMatterAliases(this.app.metadataCache.getFileCache(file)?.frontmatter)?.[0] : null;
+
+        return { linkText, path, display: alias || linkText };
+    }
+
+
+    // Looks up a note given as a parameter; accepts '[[note|alias]]' as well as plain names and paths
+    resolveNoteParam(text, currentFile) {
+        const linkpath = getLinkpath(text.trim().replace(/^\[\[/, '').replace(/\]\]$/, '').split('|')[0]);
+        const file = this.app.metadataCache.getFirstLinkpathDest(linkpath, currentFile ? currentFile.path : '') || this.app.vault.getAbstractFileByPath(linkpath);
+        return file instanceof TFile ? file : null;
+    }
+
+
+    // Looks up the 'from' and 'to' notes of 'mode: path'; 'from' defaults to the current note
+    async resolvePathEnds(params, currentFile, diagnostics = null) {
+        try {
+            const from = params.from ? this.resolveNoteParam(params.from, currentFile) : currentFile;
+            const to = this.resolveNoteParam(params.to, currentFile);
+
+            if (!from && !diagnostics?.hasProblems('from')) {
+                await this.reportProblem(diagnostics, 'resolvePathEnds', { key: 'from', message: params.from ? `Note not found for 'from': ${params.from}.` : "Missing 'from' parameter and no current note to start from.", allowed: null });
+            }
+
+            if (!to && !diagnostics?.hasProblems('to')) {
+                await this.reportProblem(diagnostics, 'resolvePathEnds', { key: 'to', message: `Note not found for 'to': ${params.to}.`, allowed: null });
+            }
+
+            await debugLog(`Resolved path ends: ${from?.path} -> ${to?.path}`);
+            return from && to ? { from, to } : null;
+
+        } catch (error) {
+            await handleError('An error occurred while resolving path ends', error);
+        }
+    }
+
+
+    // Looks up the note a neighborhood starts from; 'root' defaults to the current note
+    async resolveNeighborhoodRoot(params, currentFile, diagnostics = null) {
+        try {
+            const root = params.root ? this.resolveNoteParam(params.root, currentFile) : currentFile;
+
+            if (!root && !diagnostics?.hasProblems('root')) {
+                await this.reportProblem(diagnostics, 'resolveNeighborhoodRoot', { key: 'root', message: params.root ? `Note not found for 'root': ${params.root}.` : "Missing 'root' parameter and no current note to start from.", allowed: null });
+            }
+
+            await debugLog(`Resolved neighborhood root: ${root?.path}`);
+            return root;
+
+        } catch (error) {
+            await handleError('An error occurred while resolving the neighborhood root', error);
+        }
+    }
+
+
+    // The notes linking to each note, from Obsidian's resolved links; built once and reused until they change
+    // Obsidian updates resolvedLinks in place, so the plugin calls clearBacklinks when links are resolved again;
+    // the headless metadata cache hands out a new object instead
+    getBacklinks() {
+        const resolvedLinks = this.app.metadataCache.resolvedLinks || {};
+
+        if (this.backlinks?.resolvedLinks !== resolvedLinks) {
+            const sources = new Map();
+            for (const [source, targets] of Object.entries(resolvedLinks)) {
+                for (const target of Object.keys(targets)) {
+                    if (!sources.has(target)) sources.set(target, new Set());
+                    sources.get(target).add(source);
+                }
+            }
+
+            this.backlinks = { resolvedLinks, sources };
+        }
+
+        return this.backlinks.sources;
+    }
+
+
+    clearBacklinks() {
+        this.backlinks = null;
+    }
+
+
+    // Expands from the root note up to 'depth' links in both directions, reading only the notes on the way.
+    // Returns a Map of path -> { file, hop, direction }, where direction tells whether the note was reached
+    // by following links ('out'), backlinks ('in') or both at the same hop ('both').
+    async collectNeighborhood(rootFile, depth, linkKinds) {
+        try {
+            await debugLog(`Collecting the ${depth}-hop neighborhood of ${rootFile.path}`);
+
+            await this.linkIndex.validateStructure(this.app.vault.getFiles());
+
+            const isAnalyzable = file => file instanceof TFile && (file.extension === 'md' || (file.extension === 'canvas' && linkKinds.includes('canvas')));
+
+            // Backlink candidates come from Obsidian's resolved links, so no unrelated note is indexed
+            const backlinks = this.getBacklinks();
+
+            const getResolvedLinks = async file => {
+                const indexEntry = await this.linkIndex.get(file) || await this.indexFile(file);
+                const resolved = new Set();
+
+                for (const [kind, kindLinks] of Object.entries(indexEntry?.kinds || {})) {
+                    if (linkKinds.includes(kind)) {
+                        kindLinks.resolved.forEach(link => resolved.add(link));
+                    }
+                }
+
+                return resolved;
+            };
+
+            // Canvas files are not part of the resolved links, so their indexed links are reversed once per run
+            const canvasBacklinks = new Map();
+            if (linkKinds.includes('canvas')) {
+                for (const canvasFile of this.app.vault.getFiles().filter(file => file.extension === 'canvas')) {
+                    for (const target of await getResolvedLinks(canvasFile)) {
+                        if (!canvasBacklinks.has(target)) canvasBacklinks.set(target, new Set());
+                        canvasBacklinks.get(target).add(canvasFile.path);
+                    }
+                }
+            }
+
+            const neighborhood = new Map([[rootFile.path, { file: rootFile, hop: 0, direction: null }]]);
+            let frontier = [rootFile];
+
+            for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+                const nextFrontier = [];
+
+                const visit = (file, direction) => {
+                    const entry = neighborhood.get(file.path);
+                    if (entry) {
+                        if (entry.hop === hop && entry.direction !== direction) {
+                            entry.direction = 'both';
+                        }
+                        return;
+                    }
+
+                    neighborhood.set(file.path, { file, hop, direction });
+                    nextFrontier.push(file);
+                };
+
+                for (const file of frontier) {
+                    for (const target of await getResolvedLinks(file)) {
+                        const targetFile = this.app.vault.getAbstractFileByPath(target);
+                        if (isAnalyzable(targetFile)) {
+                            visit(targetFile, 'out');
+                        }
+                    }
+
+                    const candidates = [...(backlinks.get(file.path) || []), ...(canvasBacklinks.get(file.path) || [])]
+                        .map(source => this.app.vault.getAbstractFileByPath(source));
+
+                    for (const sourceFile of candidates) {
+                        if (isAnalyzable(sourceFile) && (await getResolvedLinks(sourceFile)).has(file.path)) {
+                            visit(sourceFile, 'in');
+                        }
+                    }
+                }
+
+                frontier = nextFrontier;
+            }
+
+            if (this.linkIndex.isDirty) {
+                this.onLinkIndexChange();
+            }
+
+            await debugLog(`Neighborhood contains ${neighborhood.size} notes`);
+            return neighborhood;
+
+        } catch (error) {
+            await handleError('An error occurred while collecting the neighborhood', error);
+        }
+    }
+
+
+    async analyzeData(linkData, stats) {
+        try {
+            await debugLog("Starting to analyze link data");
+
+            if (!(await this.validateStatsFields(stats))) {
+                await handleError('Data validation in analyzeData', 'Invalid stats', false);
+                return null;
+            } else {
+                await debugLog(`stats: ${JSON.stringify(stats)}`);
+            }
+
+            if (!(await this.validateLinkData(linkData))) {
+                await handleError('Data validation in analyzeData', 'Invalid linkData', false);
+                return null;
+            } else {
+                await debugLog(`LinkData size: ${linkData.size}`);
+            }
+
+            for (const [path, data] of linkData.entries()) {
+                await debugLog(`Processing file: ${path}`);
+
+                if (!data || !data.outgoing) {
+                    await handleError('Data validation in analyzeData', `Invalid data for file: ${path}`, false);
+                    continue;
+                }
+
+                // Outgoing links are already resolved to target file paths in collectData
+                for (const outgoingLink of data.outgoing) {
+                    if (linkData.has(outgoingLink)) {
+                        const outgoingData = linkData.get(outgoingLink);
+                        if (outgoingData) {
+                            if (!outgoingData.incoming) {
+                                outgoingData.incoming = new Set();
+                            }
+
+                            if (outgoingData.incoming instanceof Set) {
+                                outgoingData.incoming.add(path);
+                                outgoingData.incomingCount++;
+                                await debugLog(`Added incoming link for ${outgoingLink}`);
+                            } else {
+                                await handleError('Data validation in analyzeData', `Incoming links for ${outgoingLink} is not a Set`, false);
+                            }
+                        } else {
+                            await handleError('Data validation in analyzeData', `Data for ${outgoingLink} is undefined`, false);
+                        }
+                    }
+                }
+            }
+
+
+
+            await debugLog("Finished analyzing link data");
+            return linkData;
+
+        } catch (error) {
+            await handleError('An error occurred during data analysis', error);
+        }
+    }
+
+
+    async filterData(linkData, stats, fileType) {
+        try {
+            await debugLog("Filtering and deleting data...");
+
+            const validFileTypes = [
+                'all',
+                'noLinks',
+                'onlyOutgoingNoIncoming',
+                'onlyIncomingNoOutgoing',
+                'bothIncomingAndOutgoing',
+                'eitherIncomingOrOutgoing'
+            ];
+
+            if (!(await this.validateFileType(fileType))) {
+                await handleError('Invalid fileType', `${fileType}. Must be one of ${validFileTypes.join(', ')}`);
+            }
+
+            for (const [key, value] of linkData) {
+                const hasOutgoing = value.outgoing.size > 0;
+                const hasIncoming = value.incoming.size > 0;
+
+                let includeFile = false;
+
+                await debugLog("Starting data filtering...");
+
+                const fileTypeMapper = {
+                    'all': async () => true,
+                    'noLinks': async () => !hasOutgoing && !hasIncoming,
+                    'onlyOutgoingNoIncoming': async () => hasOutgoing && !hasIncoming,
+                    'onlyIncomingNoOutgoing': async () => !hasOutgoing && hasIncoming,
+                    'bothIncomingAndOutgoing': async () => hasOutgoing && hasIncoming,
+                    'eitherIncomingOrOutgoing': async () => hasOutgoing || hasIncoming
+                };
+
+                await debugLog(`hasOutgoing: ${hasOutgoing}, hasIncoming: ${hasIncoming}`);
+
+                if (fileTypeMapper.hasOwnProperty(fileType)) {
+                    includeFile = await fileTypeMapper[fileType]();
+                    await debugLog(`Data filtered using fileType: ${fileType}, includeFile: ${includeFile}`);
+                } else {
+                    await debugLog(`Invalid fileType: ${fileType}`);
+                }
+
+                await debugLog("Data filtering completed");
+
+                if (includeFile) {
+                    await debugLog(`Including file in table: ${key}`);
+                    await stats.updateFilesInTable(1);
+                    await stats.updateOutgoingLinks(Array.from(value.outgoing));
+                    await stats.updateIncomingLinks(Array.from(value.incoming));
+                    await stats.updateUnresolvedLinks(Array.from(value.unresolved || []));
+                    await stats.updateUniqueOutgoingLinks(Array.from(value.outgoing));
+                    await stats.updateUniqueIncomingLinks(Array.from(value.incoming));
+                } else {
+                    await debugLog(`Skipping file: ${key}`);
+                    await stats.updateSkippedFiles(1);
+                    linkData.delete(key);
+                }
+            }
+            await debugLog("Data after filtering:", JSON.stringify(linkData));
+            return linkData;
+
+        } catch (error) {
+            await handleError("An error occurred during data filtering and deletion", error);
+        }
+    }
+
+
+    async sortLinkData(linkData, sortBy, sortOrder) {
+        return Array.from(linkData).sort((a, b) => {
+            let aValue, bValue;
+
+            if (sortBy === 'name') {
+                aValue = a[1].name || a[0];
+                bValue = b[1].name || b[0];
+            } else if (sortBy === 'outgoingCount') {
+                aValue = a[1].outgoing ? a[1].outgoing.size : 0;
+                bValue = b[1].outgoing ? b[1].outgoing.size : 0;
+            } else if (sortBy === 'incomingCount') {
+                aValue = a[1].incoming ? a[1].incoming.size : 0;
+                bValue = b[1].incoming ? b[1].incoming.size : 0;
+            } else {
+                aValue = a[1].metrics?.[sortBy] ?? 0;
+                bValue = b[1].metrics?.[sortBy] ?? 0;
+            }
+
+            // Compared without subtraction, because the in/out ratio can be Infinity
+            const compareValue = sortBy === 'name' ? aValue.localeCompare(bValue) : (bValue > aValue) - (bValue < aValue);
+
+            return sortOrder === 'asc' ? -compareValue : compareValue;
+        });
+    }
+
+
+    // Builds the directed graph of the analyzed notes; links to notes outside linkData and self-links are left out
+    async buildGraph(linkData) {
+        const successors = new Map();
+        const predecessors = new Map();
+
+        for (const path of linkData.keys()) {
+            successors.set(path, new Set());
+            predecessors.set(path, new Set());
+        }
+
+        for (const [path, data] of linkData) {
+            for (const target of data.outgoing) {
+                if (target !== path && successors.has(target)) {
+                    successors.get(path).add(target);
+                    predecessors.get(target).add(path);
+                }
+            }
+        }
+
+        return { nodes: Array.from(linkData.keys()), successors, predecessors };
+    }
+
+
+    // Stores the requested metrics in each entry's 'metrics' object
+    // 'distance' counts the links from the current note, which is not part of linkData itself
+    async computeGraphMetrics(linkData, metrics, currentFile = null, linkKinds = [], undirected = false) {
+        try {
+            if (!metrics || metrics.length === 0) {
+                return linkData;
+            }
+
+            await debugLog(`Computing graph metrics: ${metrics.join(", ")}`);
+
+            const graph = await this.buildGraph(linkData);
+            const results = {};
+
+            if (metrics.includes('pageRank')) results.pageRank = await this.computePageRank(graph);
+            if (metrics.includes('betweenness')) results.betweenness = await this.computeBetweenness(graph);
+            if (metrics.includes('clustering')) results.clustering = await this.computeClustering(graph);
+            if (metrics.includes('distance')) results.distance = await this.computeDistances(graph, linkData, currentFile, linkKinds, undirected);
+
+            for (const [path, data] of linkData) {
+                data.metrics = data.metrics || {};
+
+                for (const [metric, values] of Object.entries(results)) {
+                    data.metrics[metric] = values.get(path);
+                }
+
+                if (metrics.includes('degreeRatio')) {
+                    const incomingCount = data.incoming.size;
+                    const outgoingCount = data.outgoing.size;
+                    data.metrics.degreeRatio = outgoingCount > 0 ? incomingCount / outgoingCount : incomingCount > 0 ? Infinity : 0;
+                }
+            }
+
+            await debugLog('Graph metrics computed');
+            return linkData;
+
+        } catch (error) {
+            await handleError('An error occurred while computing graph metrics', error);
+        }
+    }
+
+
+    // Breadth-first link distances from the current note; notes it cannot reach get Infinity
+    async computeDistances({ nodes, successors, predecessors }, linkData, currentFile, linkKinds, undirected) {
+        const distances = new Map(nodes.map(node => [node, Infinity]));
+
+        if (!currentFile) {
+            return distances;
+        }
+
+        // The current note is excluded from linkData, so its own links are read from the index
+        const indexEntry = await this.linkIndex.get(currentFile) || await this.indexFile(currentFile);
+        const firstHop = new Set();
+
+        for (const [kind, { resolved }] of Object.entries(indexEntry?.kinds || {})) {
+            if (linkKinds.includes(kind)) {
+                resolved.filter(target => distances.has(target)).forEach(target => firstHop.add(target));
+            }
+        }
+
+        if (undirected) {
+            for (const [path, data] of linkData) {
+                if (data.outgoing.has(currentFile.path)) {
+                    firstHop.add(path);
+                }
+            }
+        }
+
+        if (distances.has(currentFile.path)) {
+            distances.set(currentFile.path, 0);
+        }
+
+        const queue = Array.from(firstHop).filter(node => distances.get(node) === Infinity);
+        queue.forEach(node => distances.set(node, 1));
+
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            const neighbors = undirected ? [...successors.get(node), ...predecessors.get(node)] : successors.get(node);
+
+            for (const neighbor of neighbors) {
+                if (distances.get(neighbor) === Infinity) {
+                    distances.set(neighbor, distances.get(node) + 1);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return distances;
+    }
+
+
+    // Finds every shortest link path between two notes, up to MAX_SHORTEST_PATHS of them
+    async computeShortestPaths(linkData, fromPath, toPath, undirected) {
+        try {
+            await debugLog(`Computing shortest paths from ${fromPath} to ${toPath}`);
+
+            if (!linkData.has(fromPath) || !linkData.has(toPath)) {
+                return { distance: null, paths: [] };
+            }
+
+            if (fromPath === toPath) {
+                return { distance: 0, paths: [[fromPath]] };
+            }
+
+            const { successors, predecessors } = await this.buildGraph(linkData);
+            const distances = new Map([[fromPath, 0]]);
+            const parents = new Map([[fromPath, []]]);
+            let frontier = [fromPath];
+
+            // Expand level by level, keeping all parents on the previous level, until the target is reached
+            while (frontier.length > 0 && !distances.has(toPath)) {
+                const nextFrontier = [];
+
+                for (const node of frontier) {
+                    const neighbors = undirected ? new Set([...successors.get(node), ...predecessors.get(node)]) : successors.get(node);
+
+                    for (const neighbor of neighbors) {
+                        if (!distances.has(neighbor)) {
+                            distances.set(neighbor, distances.get(node) + 1);
+                            parents.set(neighbor, []);
+                            nextFrontier.push(neighbor);
+                        }
+
+                        if (distances.get(neighbor) === distances.get(node) + 1) {
+                            parents.get(neighbor).push(node);
+                        }
+                    }
+                }
+
+                frontier = nextFrontier;
+            }
+
+            if (!distances.has(toPath)) {
+                return { distance: null, paths: [] };
+            }
+
+            const paths = [];
+            const walk = (node, suffix) => {
+                if (paths.length >= MAX_SHORTEST_PATHS) {
+                    return;
+                }
+
+                if (node === fromPath) {
+                    paths.push([node, ...suffix]);
+                    return;
+                }
+
+                for (const parent of parents.get(node)) {
+                    walk(parent, [node, ...suffix]);
+                }
+            };
+            walk(toPath, []);
+
+            await debugLog(`Found ${paths.length} shortest paths of ${distances.get(toPath)} links`);
+            return { distance: distances.get(toPath), paths };
+
+        } catch (error) {
+            await handleError('An error occurred while computing shortest paths', error);
+        }
+    }
+
+
+    // Iterative PageRank with damping 0.85; the rank of notes without outgoing links is spread over all notes
+    async computePageRank({ nodes, successors }, damping = 0.85, maxIterations = 100, tolerance = 1e-6) {
+        const nodeCount = nodes.length;
+        let ranks = new Map(nodes.map(node => [node, 1 / nodeCount]));
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const danglingRank = nodes
+                .filter(node => successors.get(node).size === 0)
+                .reduce((sum, node) => sum + ranks.get(node), 0);
+
+            const nextRanks = new Map(nodes.map(node => [node, (1 - damping) / nodeCount + damping * danglingRank / nodeCount]));
+
+            for (const node of nodes) {
+                const targets = successors.get(node);
+                for (const target of targets) {
+                    nextRanks.set(target, nextRanks.get(target) + damping * ranks.get(node) / targets.size);
+                }
+            }
+
+            const change = nodes.reduce((sum, node) => sum + Math.abs(nextRanks.get(node) - ranks.get(node)), 0);
+            ranks = nextRanks;
+
+            if (change < tolerance) {
+                await debugLog(`PageRank converged after ${iteration + 1} iterations`);
+                break;
+            }
+        }
+
+        return ranks;
+    }
+
+
+    // Brandes' algorithm on the directed graph, normalized by (n - 1)(n - 2)
+    // Above MAX_BETWEENNESS_SOURCES notes, only shortest paths from evenly spaced sources are followed and the sums scaled
+    // up, which estimates the centrality; the same notes give the same sources, so results stay stable between renders
+    async computeBetweenness({ nodes, successors }) {
+        const centrality = new Map(nodes.map(node => [node, 0]));
+
+        const step = Math.max(1, nodes.length / MAX_BETWEENNESS_SOURCES);
+        const sortedNodes = [...nodes].sort();
+        const sources = nodes.length > MAX_BETWEENNESS_SOURCES
+            ? Array.from({ length: MAX_BETWEENNESS_SOURCES }, (_, i) => sortedNodes[Math.floor(i * step)])
+            : nodes;
+
+        if (sources !== nodes) {
+            await debugLog(`Estimating betweenness from ${sources.length} of ${nodes.length} notes`);
+        }
+
+        for (const source of sources) {
+            const stack = [];
+            const parents = new Map(nodes.map(node => [node, []]));
+            const pathCounts = new Map(nodes.map(node => [node, 0]));
+            const distances = new Map(nodes.map(node => [node, -1]));
+            pathCounts.set(source, 1);
+            distances.set(source, 0);
+
+            const queue = [source];
+            for (let head = 0; head < queue.length; head++) {
+                const node = queue[head];
+                stack.push(node);
+
+                for (const target of successors.get(node)) {
+                    if (distances.get(target) < 0) {
+                        distances.set(target, distances.get(node) + 1);
+                        queue.push(target);
+                    }
+                    if (distances.get(target) === distances.get(node) + 1) {
+                        pathCounts.set(target, pathCounts.get(target) + pathCounts.get(node));
+                        parents.get(target).push(node);
+                    }
+                }
+            }
+
+            const dependencies = new Map(nodes.map(node => [node, 0]));
+            while (stack.length > 0) {
+                const node = stack.pop();
+                for (const parent of parents.get(node)) {
+                    dependencies.set(parent, dependencies.get(parent) + pathCounts.get(parent) / pathCounts.get(node) * (1 + dependencies.get(node)));
+                }
+                if (node !== source) {
+                    centrality.set(node, centrality.get(node) + dependencies.get(node));
+                }
+            }
+        }
+
+        const scale = (nodes.length > 2 ? 1 / ((nodes.length - 1) * (nodes.length - 2)) : 1) * nodes.length / sources.length;
+        for (const node of nodes) {
+            centrality.set(node, centrality.get(node) * scale);
+        }
+
+        return centrality;
+    }
+
+
+    // Local clustering coefficient with links treated as undirected
+    async computeClustering({ nodes, successors, predecessors }) {
+        const neighbors = new Map(nodes.map(node => [node, new Set([...successors.get(node), ...predecessors.get(node)])]));
+        const clustering = new Map();
+
+        for (const node of nodes) {
+            const nodeNeighbors = Array.from(neighbors.get(node));
+            const degree = nodeNeighbors.length;
+
+            if (degree < 2) {
+                clustering.set(node, 0);
+                continue;
+            }
+
+            let connectedPairs = 0;
+            for (let i = 0; i < degree; i++) {
+                for (let j = i + 1; j < degree; j++) {
+                    if (neighbors.get(nodeNeighbors[i]).has(nodeNeighbors[j])) {
+                        connectedPairs++;
+                    }
+                }
+            }
+
+            clustering.set(node, 2 * connectedPairs / (degree * (degree - 1)));
+        }
+
+        return clustering;
+    }
+
+
+    // Partitions the notes into weakly or strongly connected components, largest first.
+    // Bridging notes link to or from notes in other components, which only happens between strong components.
+    // Weak components are never linked to each other, so they list their connecting notes instead: the notes
+    // whose removal would split the component.
+    async computeClusters(linkData, clusterBy, minClusterSize = 1) {
+        try {
+            await debugLog(`Computing ${clusterBy} clusters`);
+
+            const graph = await this.buildGraph(linkData);
+            const weakComponents = await this.computeWeakComponents(graph);
+            const strongComponents = await this.computeStrongComponents(graph);
+            const components = clusterBy === 'strong' ? strongComponents : weakComponents;
+
+            components.sort((a, b) => b.length - a.length);
+
+            const clusterOf = new Map();
+            components.forEach((members, i) => members.forEach(member => clusterOf.set(member, i + 1)));
+
+            const articulationPoints = clusterBy === 'weak' ? await this.computeArticulationPoints(graph) : new Set();
+            const clusters = components.map((members, i) => ({
+                number: i + 1,
+                members,
+                bridges: new Map(),
+                connectingNotes: members.filter(member => articulationPoints.has(member)).sort()
+            }));
+
+            for (const [path, targets] of graph.successors) {
+                for (const target of targets) {
+                    const sourceCluster = clusterOf.get(path);
+                    const targetCluster = clusterOf.get(target);
+
+                    if (sourceCluster !== targetCluster) {
+                        const sourceBridges = clusters[sourceCluster - 1].bridges;
+                        const targetBridges = clusters[targetCluster - 1].bridges;
+
+                        if (!sourceBridges.has(path)) sourceBridges.set(path, new Set());
+                        if (!targetBridges.has(target)) targetBridges.set(target, new Set());
+
+                        sourceBridges.get(path).add(targetCluster);
+                        targetBridges.get(target).add(sourceCluster);
+                    }
+                }
+            }
+
+            await debugLog(`Found ${weakComponents.length} weak and ${strongComponents.length} strong components`);
+            return {
+                clusterBy,
+                clusters: clusters.filter(cluster => cluster.members.length >= minClusterSize),
+                weakCount: weakComponents.length,
+                strongCount: strongComponents.length
+            };
+
+        } catch (error) {
+            await handleError('An error occurred while computing clusters', error);
+        }
+    }
+
+
+    async computeWeakComponents({ nodes, successors, predecessors }) {
+        const visited = new Set();
+        const components = [];
+
+        for (const root of nodes) {
+            if (visited.has(root)) {
+                continue;
+            }
+
+            const component = [];
+            const queue = [root];
+            visited.add(root);
+
+            for (let head = 0; head < queue.length; head++) {
+                const node = queue[head];
+                component.push(node);
+
+                for (const neighbor of [...successors.get(node), ...predecessors.get(node)]) {
+                    if (!visited.has(neighbor)) {
+                        visited.add(neighbor);
+                        queue.push(neighbor);
+                    }
+                }
+            }
+
+            components.push(component);
+        }
+
+        return components;
+    }
+
+
+    // Articulation points with links treated as undirected: notes whose removal leaves their component in several parts
+    // Hopcroft and Tarjan's depth-first search, with an explicit stack like computeStrongComponents
+    async computeArticulationPoints({ nodes, successors, predecessors }) {
+        const neighbors = new Map(nodes.map(node => [node, Array.from(new Set([...successors.get(node), ...predecessors.get(node)]))]));
+        const depths = new Map();
+        const lowPoints = new Map();
+        const points = new Set();
+
+        for (const root of nodes) {
+            if (depths.has(root)) {
+                continue;
+            }
+
+            depths.set(root, 0);
+            lowPoints.set(root, 0);
+            let rootChildren = 0;
+            const stack = [{ node: root, parent: null, next: 0 }];
+
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const nodeNeighbors = neighbors.get(frame.node);
+
+                if (frame.next < nodeNeighbors.length) {
+                    const neighbor = nodeNeighbors[frame.next++];
+                    if (neighbor === frame.parent) {
+                        continue;
+                    }
+
+                    if (depths.has(neighbor)) {
+                        lowPoints.set(frame.node, Math.min(lowPoints.get(frame.node), depths.get(neighbor)));
+                    } else {
+                        depths.set(neighbor, depths.get(frame.node) + 1);
+                        lowPoints.set(neighbor, depths.get(neighbor));
+                        stack.push({ node: neighbor, parent: frame.node, next: 0 });
+                    }
+                    continue;
+                }
+
+                // A child whose subtree cannot reach above its parent is cut off when the parent is removed
+                stack.pop();
+                if (frame.parent !== null) {
+                    lowPoints.set(frame.parent, Math.min(lowPoints.get(frame.parent), lowPoints.get(frame.node)));
+
+                    if (frame.parent === root) {
+                        rootChildren++;
+                    } else if (lowPoints.get(frame.node) >= depths.get(frame.parent)) {
+                        points.add(frame.parent);
+                    }
+                }
+            }
+
+            // The root splits its component only if the search left it more than once
+            if (rootChildren > 1) {
+                points.add(root);
+            }
+        }
+
+        return points;
+    }
+
+
+    // Tarjan's algorithm with an explicit stack, so long link chains cannot overflow the call stack
+    async computeStrongComponents({ nodes, successors }) {
+        const indices = new Map();
+        const lowLinks = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let nextIndex = 0;
+
+        const visit = node => {
+            indices.set(node, nextIndex);
+            lowLinks.set(node, nextIndex);
+            nextIndex++;
+            stack.push(node);
+            onStack.add(node);
+        };
+
+        for (const root of nodes) {
+            if (indices.has(root)) {
+                continue;
+            }
+
+            visit(root);
+            const work = [[root, successors.get(root).values()]];
+
+            while (work.length > 0) {
+                const [node, targets] = work[work.length - 1];
+                const next = targets.next();
+
+                if (!next.done) {
+                    const target = next.value;
+                    if (!indices.has(target)) {
+                        visit(target);
+                        work.push([target, successors.get(target).values()]);
+                    } else if (onStack.has(target)) {
+                        lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(target)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1][0];
+                    lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(node)));
+                }
+
+                if (lowLinks.get(node) === indices.get(node)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== node);
+                    components.push(component);
+                }
+            }
+        }
+
+        return components;
+    }
+
+
+    async collectUnresolvedData(linkData) {
+        try {
+            await debugLog("Grouping unresolved links by target...");
+
+            if (!(await this.validateLinkData(linkData))) {
+                await handleError('collectUnresolvedData', 'Invalid linkData');
+            }
+
+            const unresolvedData = new Map();
+
+            for (const [path, data] of linkData) {
+                for (const target of data.unresolved || []) {
+                    if (!unresolvedData.has(target)) {
+                        unresolvedData.set(target, new Set());
+                    }
+                    unresolvedData.get(target).add(path);
+                }
+            }
+
+            await debugLog(`Found ${unresolvedData.size} unresolved targets`);
+            return unresolvedData;
+
+        } catch (error) {
+            await handleError('An error occurred while grouping unresolved links', error);
+        }
+    }
+
+
+    // Checks the analyzed notes against the link health rules in params.lintRules
+    // Returns the issues per rule as { path, link, count }: link is the target path or link text, count a number of links or notes
+    async lintLinkData(linkData, fileNameMap, params) {
+        try {
+            await debugLog(`Checking link health rules: ${params.lintRules.join(', ')}`);
+
+            if (!(await this.validateLinkData(linkData))) {
+                await handleError('lintLinkData', 'Invalid linkData');
+            }
+
+            const excludedFolders = this.getExcludedFolders();
+            const lintData = new Map(params.lintRules.map(rule => [rule, []]));
+
+            const nameCounts = new Map();
+            for (const [name, count] of fileNameMap) {
+                nameCounts.set(name.toLowerCase(), (nameCounts.get(name.toLowerCase()) || 0) + count);
+            }
+            const addIssue = (rule, issue) => lintData.get(rule)?.push({ link: null, count: null, ...issue });
+
+            for (const [path, data] of linkData) {
+                const linkCount = data.outgoing.size + data.incoming.size;
+
+                if (this.getLinkCategory(data) === 'noLinks') addIssue('orphans', { path });
+                if (data.outgoing.size === 0) addIssue('noOutgoing', { path });
+                if (data.outgoing.has(path)) addIssue('selfLinks', { path });
+                if (linkCount > params.hubThreshold) addIssue('hubs', { path, count: linkCount });
+
+                data.unresolved.forEach(link => addIssue('unresolved', { path, link }));
+
+                for (const target of data.outgoing) {
+                    if (excludedFolders.some(folder => target.startsWith(folder))) {
+                        addIssue('excludedTargets', { path, link: target });
+                    }
+                }
+
+                // A link by name alone resolves to only one of the notes sharing that name, which may not be the intended one
+                // Names are compared case-insensitively, as links resolve regardless of case
+                if (lintData.has('ambiguous')) {
+                    const file = this.app.vault.getAbstractFileByPath(path);
+                    const linkReferences = file ? await this.collectLinkReferences(file, params.linkKinds) : null;
+                    const linkpaths = new Set(Object.values(linkReferences || {}).flat().map(link => getLinkpath(link.link)));
+
+                    for (const linkpath of linkpaths) {
+                        const name = linkpath.replace(/\.md$/i, '').toLowerCase();
+                        if (!name.includes('/') && nameCounts.get(name) > 1) {
+                            addIssue('ambiguous', { path, link: linkpath, count: nameCounts.get(name) });
+                        }
+                    }
+                }
+            }
+
+            for (const [rule, issues] of lintData) {
+                issues.sort((a, b) => rule === 'hubs' ? b.count - a.count : a.path.localeCompare(b.path));
+            }
+
+            await debugLog(`Link health checked, ${Array.from(lintData.values()).reduce((sum, issues) => sum + issues.length, 0)} issues found`);
+            return lintData;
+
+        } catch (error) {
+            await handleError('An error occurred while checking link health', error);
+        }
+    }
+
+
+    // Text of a note with frontmatter, code, links, URLs and tags blanked out, so only plain text is searched for mentions
+    // Blanked parts keep their length, so offsets into the plain text are offsets into the note
+    getPlainText(content, fileCache = null) {
+        const patterns = [
+            /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/g,
+            /```[\s\S]*?(?:```|$)|`[^`\n]*`/g,
+            /!?\[\[[^\]]*\]\]/g,
+            /!?\[[^\]]*\]\([^)]*\)/g,
+            /<[^>\n]+>|[a-z][a-z0-9+.-]*:\/\/\S+/gi
+        ];
+
+        let plainText = patterns.reduce((text, pattern) => text.replace(pattern, match => match.replace(/[^\n]/g, ' ')), content);
+
+        // Tags where the metadata cache found them; a tag no longer at its position, as the note changed since, is kept
+        for (const { tag, position } of fileCache?.tags || []) {
+            const offset = position.start.offset;
+            if (content.startsWith(tag, offset)) {
+                plainText = plainText.slice(0, offset) + ' '.repeat(tag.length) + plainText.slice(offset + tag.length);
+            }
+        }
+
+        return plainText;
+    }
+
+
+    // One pattern matching every name and alias of the given notes, and the notes per lower-cased name
+    // Names shorter than 3 characters are left out, as they match too much plain text; longer names come first, so where
+    // names overlap the longest mention wins
+    getMentionMatcher(files) {
+        const filesByName = new Map();
+
+        for (const file of files) {
+            const aliases = parseFrontMatterAliases(this.app.metadataCache.getFileCache(file)?.frontmatter) || [];
+            const names = new Set([file.basename, ...aliases].map(name => String(name).trim().toLowerCase()));
+
+            for (const name of names) {
+                if (name.length >= 3) {
+                    filesByName.set(name, [...(filesByName.get(name) || []), file]);
+                }
+            }
+        }
+
+        if (filesByName.size === 0) {
+            return null;
+        }
+
+        const alternatives = Array.from(filesByName.keys())
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+
+        return {
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'giu'),
+            filesByName
+        };
+    }
+
+
+    // Suggests links to the analyzed notes with at most params.maxIncoming incoming links: notes mentioning their name or
+    // an alias in plain text, and notes sharing a tag; notes already linking to them are left out
+    // Returns per note { incomingCount, mentions, sharedTags }, each list limited to MAX_SUGGESTIONS
+    async suggestLinks(linkData, params) {
+        try {
+            await debugLog(`Suggesting links to notes with at most ${params.maxIncoming} incoming links...`);
+
+            if (!(await this.validateLinkData(linkData))) {
+                await handleError('suggestLinks', 'Invalid linkData');
+            }
+
+            // Every analyzed note is read once and searched once for all suggested notes
+            const notes = [];
+            for (const path of linkData.keys()) {
+                const file = this.app.vault.getAbstractFileByPath(path);
+                if (file instanceof TFile && file.extension === 'md') {
+                    const content = await this.app.vault.cachedRead(file);
+                    const fileCache = this.app.metadataCache.getFileCache(file);
+                    const tags = new Set((fileCache ? getAllTags(fileCache) || [] : []).map(tag => tag.toLowerCase()));
+                    notes.push({ file, content, plainText: this.getPlainText(content, fileCache), tags });
+                }
+            }
+
+            const targets = notes.filter(note => linkData.get(note.file.path).incoming.size <= params.maxIncoming);
+            const suggestData = new Map(targets.map(target => [
+                target.file.path,
+                { incomingCount: linkData.get(target.file.path).incoming.size, mentions: [], sharedTags: [] }
+            ]));
+
+            const mentionMatcher = this.getMentionMatcher(targets.map(target => target.file));
+
+            // Only the first mention of each note in a source is suggested
+            for (const source of mentionMatcher ? notes : []) {
+                const mentionedPaths = new Set();
+
+                for (const match of source.plainText.matchAll(mentionMatcher.pattern)) {
+                    for (const file of mentionMatcher.filesByName.get(match[0].toLowerCase()) || []) {
+                        if (file === source.file || mentionedPaths.has(file.path) || linkData.get(file.path).incoming.has(source.file.path)) {
+                            continue;
+                        }
+
+                        mentionedPaths.add(file.path);
+                        const { mentions } = suggestData.get(file.path);
+                        if (mentions.length < MAX_SUGGESTIONS) {
+                            mentions.push({ path: source.file.path, ...this.getMention(source.content, match.index, match[0].length) });
+                        }
+                    }
+                }
+            }
+
+            for (const target of targets) {
+                const targetData = linkData.get(target.file.path);
+                const { sharedTags } = suggestData.get(target.file.path);
+
+                for (const source of notes) {
+                    if (source === target || targetData.incoming.has(source.file.path)) {
+                        continue;
+                    }
+
+                    const tags = Array.from(target.tags).filter(tag => source.tags.has(tag));
+                    if (tags.length > 0) {
+                        sharedTags.push({ path: source.file.path, tags });
+                    }
+                }
+
+                // Notes sharing the most tags first
+                sharedTags.sort((a, b) => b.tags.length - a.tags.length || a.path.localeCompare(b.path));
+                sharedTags.splice(MAX_SUGGESTIONS);
+            }
+
+            await debugLog(`Suggested links for ${suggestData.size} notes`);
+            return new Map(Array.from(suggestData).sort(([a], [b]) => a.localeCompare(b)));
+
+        } catch (error) {
+            await handleError('An error occurred while suggesting links', error);
+        }
+    }
+
+
+    // A mention found in a note: where it is, as written, and the text around it on its line
+    getMention(content, offset, length) {
+        const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+        const lineEnd = content.indexOf('\n', offset) === -1 ? content.length : content.indexOf('\n', offset);
+        const contextStart = Math.max(lineStart, offset - 40);
+        const contextEnd = Math.min(lineEnd, offset + length + 40);
+
+        return {
+            offset,
+            text: content.slice(offset, offset + length),
+            line: content.slice(0, offset).split('\n').length,
+            context: `${contextStart > lineStart ? '…' : ''}${content.slice(contextStart, contextEnd).trim()}${contextEnd < lineEnd ? '…' : ''}`
+        };
+    }
+
+
+    // Main function to analyze link data
+    // Options: 'undirected' for the distance metric, 'neighborhood' to analyze only the notes collected by collectNeighborhood,
+    // and 'includeCurrentFile' to keep the current note among the analyzed notes
+    async analyzeLinkData(targetPaths, currentFile, fileType, linkKinds, filters = {}, metrics = [], options = {}) {
+        try {
+            await debugLog("Starting analyzeLinkData function...");
+
+            const stats = new Stats();
+
+            await this.validateInput(targetPaths, fileType);
+            await debugLog("Input validated");
+
+            const { undirected = false, neighborhood = null, includeCurrentFile = false } = options;
+
+            // A neighborhood was collected through the link index already, so the vault is not listed again
+            let sourceFiles;
+            if (neighborhood) {
+                sourceFiles = Array.from(neighborhood.values(), entry => entry.file);
+            } else {
+                const { allFiles, allMarkdownFiles } = await this.getFilesData(stats);
+                await debugLog("Files data obtained");
+
+                await this.linkIndex.validateStructure(allFiles);
+
+                // Canvas files are not markdown, so they only become link sources when asked for
+                sourceFiles = linkKinds.includes('canvas')
+                    ? [...allMarkdownFiles, ...allFiles.filter(file => file.extension === 'canvas')]
+                    : allMarkdownFiles;
+            }
+
+            const { linkData, fileNameMap } = await this.collectData(sourceFiles, includeCurrentFile ? null : currentFile, targetPaths, linkKinds, filters, stats);
+            await debugLog("Data collected");
+
+            const analyzedData = await this.analyzeData(linkData, stats);
+            await debugLog("Markdown files processed");
+
+            // Metrics are computed on the whole analyzed graph, before notes are filtered out of the table
+            await this.computeGraphMetrics(analyzedData, metrics, currentFile, linkKinds, undirected);
+
+            const filteredData = await this.filterData(analyzedData, stats, fileType);
+            await debugLog("Data filtered");
+
+            await this.validateOutput(filteredData, stats);
+            await debugLog("Output validated");
+
+            await debugLog("analyzeLinkData function completed successfully");
+            return { linkData: filteredData, stats, fileNameMap };
+
+        } catch (error) {
+            await handleError("An error occurred in analyzeLinkData function", error);
+        }
+    }
+
+    // Runs the analysis for validated parameters, as code blocks and the editor commands do
+    // Notes named in the parameters are looked up first; problems with them are added to diagnostics and null is returned
+    async runAnalysis(params, currentFile, diagnostics) {
+        try {
+            // Path ends are notes, which can only be looked up once the parameters are valid
+            const pathEnds = params.mode === 'path'
+                ? await this.resolvePathEnds(params, currentFile, diagnostics)
+                : null;
+            const neighborhoodRoot = params.depth !== null
+                ? await this.resolveNeighborhoodRoot(params, currentFile, diagnostics)
+                : null;
+
+            if (diagnostics.hasProblems()) {
+                return null;
+            }
+
+            // Notes whose only links are unresolved would be filtered out as 'noLinks', so the unresolved report scans all files
+            // Clusters, paths, link health and link suggestions are computed over every analyzed note, isolated ones included
+            const fileType = ['unresolved', 'clusters', 'path', 'lint', 'suggest'].includes(params.mode) ? 'all' : params.fileType;
+
+            const metrics = this.getRequiredMetrics(params);
+
+            // With 'depth', only the notes around the root are read and analyzed
+            const neighborhood = neighborhoodRoot
+                ? await this.collectNeighborhood(neighborhoodRoot, params.depth, params.linkKinds)
+                : null;
+
+            // A path or neighborhood may start at the current note, so it stays in the analyzed notes
+            const { linkData, stats, fileNameMap } = await this.analyzeLinkData(params.paths, currentFile, fileType, params.linkKinds, {
+                tags: params.tags,
+                where: params.where,
+                modified: params.modified,
+                created: params.created
+            }, metrics, {
+                undirected: params.undirected,
+                neighborhood,
+                includeCurrentFile: params.mode === 'path' || neighborhood !== null
+            });
+            if (!linkData || !stats || !(await this.validateStatsFields(stats))) {
+                await debugLog("Invalid link data or stats.");
+                throw new Error("Stats fields are invalid");
+            }
+
+            return { linkData, stats, fileNameMap, pathEnds, neighborhood };
+
+        } catch (error) {
+            await handleError("An error occurred in runAnalysis", error);
+        }
+    }
+
+
+
+
+
+
+
+
+
+
+    // * Generating and outputting results
+
+    // Only the metrics that are shown or sorted by are computed
+    getRequiredMetrics(params) {
+        if (['unresolved', 'path', 'lint', 'suggest'].includes(params.mode)) {
+            return [];
+        }
+
+        const metricColumns = ['pageRank', 'betweenness', 'degreeRatio', 'clustering', 'distance'];
+        return metricColumns.filter(metric => metric === params.sort || this.getTableColumns(params.col, params.excludeCol).includes(metric));
+    }
+
+
+    // The fileType a note falls into, ignoring the 'all' and 'eitherIncomingOrOutgoing' groupings
+    getLinkCategory(data) {
+        const hasOutgoing = data.outgoing.size > 0;
+        const hasIncoming = data.incoming.size > 0;
+
+        if (hasOutgoing && hasIncoming) return 'bothIncomingAndOutgoing';
+        if (hasOutgoing) return 'onlyOutgoingNoIncoming';
+        if (hasIncoming) return 'onlyIncomingNoOutgoing';
+        return 'noLinks';
+    }
+
+
+    // Metric columns are only shown when listed in col, because computing them can be slow
+    getTableColumns(col, excludeCol) {
+        const defaultColumns = ['index', 'name', 'outgoingCount', 'incomingCount', 'outgoing', 'incoming'];
+        const columns = col && col.length > 0 ? col : defaultColumns;
+
+        return excludeCol && excludeCol.length > 0
+            ? columns.filter(column => !excludeCol.includes(column))
+            : [...columns];
+    }
+
+
+    async prepareTableData(linkData, sortBy, sortOrder, excludeCol, col = [], showAliases = false) {
+        try {
+            await debugLog('Starting data preparation for table.')
+
+            if (!(await this.validateLinkData(linkData))) {
+                await handleError('prepareTableData', 'Invalid linkData');
+            }
+
+            if (!(await this.validateSort(sortBy))) {
+                await handleError('prepareTableData', 'Invalid sortBy value');
+            }
+
+            if (!(await this.validateSortOrder(sortOrder))) {
+                await handleError('prepareTableData', 'Invalid sortOrder value');
+            }
+
+            if (!(await this.validateExcludeCol(excludeCol, null, col))) {
+                await handleError('prepareTableData', 'Invalid excludeCol value');
+            }
+
+            await debugLog('linkData, sortBy, excludeCol validated successfully.');
+
+            // Determine the shown columns and exclude columns if needed
+            const columns = this.getTableColumns(col, excludeCol);
+            await debugLog('Columns determined.');
+
+            // Define display names for each column, renamed columns from the settings take precedence
+            const columnDisplayNames = { ...DEFAULT_COLUMN_DISPLAY_NAMES };
+            for (const [column, displayName] of Object.entries(this.settings.columnDisplayNames)) {
+                if (displayName) {
+                    columnDisplayNames[column] = displayName;
+                }
+            }
+
+            // Sort the linkData
+            const sortedData = await this.sortLinkData(linkData, sortBy, sortOrder);
+
+            await debugLog('Data sorted.');
+
+            const tableData = [];
+            let index = 1;
+
+            // Link cells hold link values, or lists of them, which each output formats on its own
+            for (const [path, links] of sortedData) {
+                let incomingLinks = [];
+                let outgoingLinks = [];
+                let unresolvedLinks = [];
+
+                if (Array.isArray(links.incoming) || links.incoming instanceof Set) {
+                    incomingLinks = await Promise.all(Array.from(links.incoming).map(link => this.createLinkValue(link, showAliases)));
+                }
+
+                if (Array.isArray(links.outgoing) || links.outgoing instanceof Set) {
+                    outgoingLinks = await Promise.all(Array.from(links.outgoing).map(link => this.createLinkValue(link, showAliases)));
+                }
+
+                if (Array.isArray(links.unresolved) || links.unresolved instanceof Set) {
+                    unresolvedLinks = Array.from(links.unresolved).map(link => ({ linkText: link, path: null, display: link }));
+                }
+
+                const rowData = {
+                    index,
+                    name: await this.createLinkValue(path, showAliases),
+                    outgoingCount: links.outgoing.size,
+                    incomingCount: links.incoming.size,
+                    outgoing: outgoingLinks,
+                    incoming: incomingLinks,
+                    unresolved: unresolvedLinks,
+                    outgoingKinds: Object.entries(links.outgoingKinds || {})
+                        .filter(([, kindLinks]) => kindLinks.size > 0)
+                        .map(([kind, kindLinks]) => `${kind}: ${kindLinks.size}`),
+                    pageRank: (links.metrics?.pageRank ?? 0).toFixed(4),
+                    betweenness: (links.metrics?.betweenness ?? 0).toFixed(4),
+                    degreeRatio: links.metrics?.degreeRatio === Infinity ? '∞' : (links.metrics?.degreeRatio ?? 0).toFixed(2),
+                    clustering: (links.metrics?.clustering ?? 0).toFixed(2),
+                    direction: { out: '→', in: '←', both: '↔' }[links.direction] || '',
+                    distance: links.metrics?.distance === undefined || links.metrics.distance === Infinity ? '∞' : links.metrics.distance
+                };
+
+                tableData.push(rowData);
+                index++;
+            }
+
+            await debugLog('Table data prepared.');
+            return { tableData, columns, columnDisplayNames };
+
+        } catch (error) {
+            await handleError('An error occurred in prepareTableData', error);
+        }
+    }
+
+
+    async prepareUnresolvedTableData(unresolvedData, sortBy, sortOrder) {
+        try {
+            await debugLog('Starting data preparation for unresolved links table.');
+
+            if (!(unresolvedData instanceof Map)) {
+                await handleError('prepareUnresolvedTableData', 'Invalid unresolvedData');
+            }
+
+            if (!(await this.validateSort(sortBy))) {
+                await handleError('prepareUnresolvedTableData', 'Invalid sortBy value');
+            }
+
+            if (!(await this.validateSortOrder(sortOrder))) {
+                await handleError('prepareUnresolvedTableData', 'Invalid sortOrder value');
+            }
+
+            const columns = ['index', 'target', 'sourceCount', 'sources'];
+
+            const columnDisplayNames = {
+                index: '#',
+                target: '❔ missing note',
+                sourceCount: '🔗👈',
+                sources: '📄👈 linked from'
+            };
+
+            // Missing notes have no outgoing links, so any count sort orders by the number of linking notes
+            const sortedData = Array.from(unresolvedData).sort((a, b) => {
+                const compareValue = sortBy === 'name' ? a[0].localeCompare(b[0]) : b[1].size - a[1].size;
+                return sortOrder === 'asc' ? -compareValue : compareValue;
+            });
+
+            const tableData = [];
+            let index = 1;
+
+            for (const [target, sources] of sortedData) {
+                const sourceLinks = await Promise.all(Array.from(sources).map(source => this.createLinkValue(source)));
+
+                tableData.push({
+                    index,
+                    target: { linkText: target, path: null, display: target },
+                    sourceCount: sources.size,
+                    sources: sourceLinks
+                });
+                index++;
+            }
+
+            await debugLog('Unresolved links table data prepared.');
+            return { tableData, columns, columnDisplayNames };
+
+        } catch (error) {
+            await handleError('An error occurred in prepareUnresolvedTableData', error);
+        }
+    }
+
+
+    async generateMarkdownTable(preparedData, linkStyle = 'wikilink') {
+        try {
+            await debugLog('Starting to generate Markdown table.');
+
+            if (!preparedData) {
+                await handleError('generateMarkdownTable', 'Prepared data is undefined', false);
+                return 'Unable to generate table due to missing prepared data.';
+
+            }
+            await debugLog('Prepared data is available.');
+
+            const { tableData, columns, columnDisplayNames } = preparedData;
+
+            let tableContent = [];
+
+            tableContent.push(`| ${columns.map(col => this.formatMarkdownCell(columnDisplayNames[col] || col, linkStyle)).join(' | ')} |`);
+            await debugLog('Table headers added.');
+
+            tableContent.push(`| ${columns.map(() => '---').join(' | ')} |`);
+            await debugLog('Table separators added.');
+
+            for (const rowData of tableData) {
+                let row = `| ${columns.map(col => this.formatMarkdownCell(rowData[col], linkStyle)).join(' | ')} |`;
+                tableContent.push(row);
+            }
+
+            await debugLog('Markdown table generated successfully.');
+            return '\n' + tableContent.join('\n') + '\n';
+
+        } catch (error) {
+            await handleError("An error occurred in generateMarkdownTable", error, false);
+            return 'An error occurred while generating the table. Please try again.';
+        }
+    }
+
+
+    // Lists are joined on one line, since line breaks are not portable in Markdown tables; pipes are escaped
+    formatMarkdownCell(value, linkStyle) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatMarkdownCell(item, linkStyle)).join(', ');
+        }
+
+        if (value && typeof value === 'object') {
+            return this.formatMarkdownLink(value, linkStyle, true);
+        }
+
+        return String(value ?? '').replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+    }
+
+
+    // Formats a link value as [[wikilink|alias]] or [alias](path.md). Inside tables the alias pipe is escaped as '\|'.
+    // Names that cannot be written as a wikilink ('[', ']', '#', '^' or '|') always get a Markdown link.
+    formatMarkdownLink({ linkText, path, display }, linkStyle, inTable = false) {
+        const pipe = inTable ? '\\|' : '|';
+
+        if (linkStyle === 'wikilink' && !/[[\]#^|]/.test(linkText) && !/[[\]|]/.test(display)) {
+            return display === linkText ? `[[${linkText}]]` : `[[${linkText}${pipe}${display}]]`;
+        }
+
+        const file = path ? this.app.vault.getAbstractFileByPath(path) : null;
+        let target = file instanceof TFile ? this.app.metadataCache.fileToLinktext(file, '', false) : linkText;
+        if (!file && !/\.[^/.]+$/.test(target)) {
+            target += '.md';
+        }
+
+        const encodedTarget = target.split('/').map(segment => encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29')).join('/');
+        let escapedDisplay = display.replace(/[\\[\]]/g, '\\$&');
+        if (inTable) {
+            escapedDisplay = escapedDisplay.replace(/\|/g, '\\|');
+        }
+
+        return `[${escapedDisplay}](${encodedTarget})`;
+    }
+
+
+    async generateMarkdownClusters(linkData, clusterData, params) {
+        try {
+            await debugLog('Starting to generate Markdown clusters.');
+
+            const { clusterBy, clusters, weakCount, strongCount } = clusterData;
+            const sections = [`\n**Clusters**: ${weakCount} weakly connected, ${strongCount} strongly connected ${strongCount === 1 ? 'component' : 'components'}\n`];
+
+            for (const cluster of clusters) {
+                const clusterLinkData = new Map(cluster.members.map(member => [member, linkData.get(member)]));
+                const preparedData = await this.prepareTableData(clusterLinkData, params.sort, params.sortOrder, params.excludeCol, params.col, params.showAliases);
+
+                sections.push(`### ${clusterBy === 'strong' ? 'Strong' : 'Weak'} cluster ${cluster.number} (${cluster.members.length} ${cluster.members.length === 1 ? 'note' : 'notes'})`);
+                sections.push(await this.generateMarkdownTable(preparedData, params.linkStyle));
+
+                if (cluster.bridges.size > 0) {
+                    const bridges = await Promise.all(Array.from(cluster.bridges).map(async ([path, otherClusters]) =>
+                        `${this.formatMarkdownLink(await this.createLinkValue(path, params.showAliases), params.linkStyle)} ↔ ${Array.from(otherClusters).sort((a, b) => a - b).join(', ')}`));
+                    sections.push(`Bridging notes: ${bridges.join('; ')}\n`);
+                }
+
+                if (cluster.connectingNotes.length > 0) {
+                    const connectingNotes = await Promise.all(cluster.connectingNotes.map(async path =>
+                        this.formatMarkdownLink(await this.createLinkValue(path, params.showAliases), params.linkStyle)));
+                    sections.push(`Connecting notes: ${connectingNotes.join(', ')}\n`);
+                }
+            }
+
+            await debugLog('Markdown clusters generated successfully.');
+            return sections.join('\n');
+
+        } catch (error) {
+            await handleError("An error occurred in generateMarkdownClusters", error);
+        }
+    }
+
+
+    // Splits the analyzed notes by their hop distance from the neighborhood root, marking how each note was reached
+    async prepareNeighborhoodTableData(linkData, neighborhood, params) {
+        try {
+            await debugLog('Starting data preparation for neighborhood tables.');
+
+            const hops = [];
+
+            for (const [path, data] of linkData) {
+                const { hop, direction } = neighborhood.get(path);
+                data.direction = direction;
+
+                if (!hops[hop]) hops[hop] = new Map();
+                hops[hop].set(path, data);
+            }
+
+            const sections = [];
+            for (const [hop, hopLinkData] of hops.entries()) {
+                if (!hopLinkData) {
+                    continue;
+                }
+
+                const preparedData = await this.prepareTableData(hopLinkData, params.sort, params.sortOrder, params.excludeCol, params.col, params.showAliases);
+                const nameIndex = preparedData.columns.indexOf('name');
+                preparedData.columns.splice(nameIndex === -1 ? 0 : nameIndex, 0, 'direction');
+                preparedData.columnDisplayNames.direction = '↕';
+
+                sections.push({ hop, size: hopLinkData.size, preparedData });
+            }
+
+            await debugLog('Neighborhood table data prepared.');
+            return sections;
+
+        } catch (error) {
+            await handleError('An error occurred in prepareNeighborhoodTableData', error);
+        }
+    }
+
+
+    async generateMarkdownNeighborhood(sections, linkStyle) {
+        try {
+            await debugLog('Starting to generate Markdown neighborhood.');
+
+            const markdown = [];
+            for (const { hop, size, preparedData } of sections) {
+                markdown.push(`\n### ${hop === 0 ? 'Root note' : `${hop} ${hop === 1 ? 'hop' : 'hops'}`} (${size} ${size === 1 ? 'note' : 'notes'})`);
+                markdown.push(await this.generateMarkdownTable(preparedData, linkStyle));
+            }
+
+            await debugLog('Markdown neighborhood generated successfully.');
+            return markdown.join('\n');
+
+        } catch (error) {
+            await handleError("An error occurred in generateMarkdownNeighborhood", error);
+        }
+    }
+
+
+    // Lists the shortest paths as chains of notes; '←' marks a step that follows a link backwards
+    async generateMarkdownPath(linkData, pathData, fromPath, toPath, linkStyle) {
+        try {
+            await debugLog('Starting to generate Markdown path.');
+
+            const fromText = this.formatMarkdownLink(await this.createLinkValue(fromPath), linkStyle);
+            const toText = this.formatMarkdownLink(await this.createLinkValue(toPath), linkStyle);
+
+            if (pathData.distance === null) {
+                return `\nNo link path from ${fromText} to ${toText} among the analyzed notes.\n`;
+            }
+
+            const lines = [`\n**Shortest link path** from ${fromText} to ${toText}: ${pathData.distance} ${pathData.distance === 1 ? 'link' : 'links'}, ${pathData.paths.length} ${pathData.paths.length === 1 ? 'path' : 'paths'}${pathData.paths.length >= MAX_SHORTEST_PATHS ? ' (limit reached)' : ''}\n`];
+
+            for (const [i, path] of pathData.paths.entries()) {
+                let chain = this.formatMarkdownLink(await this.createLinkValue(path[0]), linkStyle);
+                for (let step = 1; step < path.length; step++) {
+                    const arrow = linkData.get(path[step - 1]).outgoing.has(path[step]) ? '→' : '←';
+                    chain += ` ${arrow} ${this.formatMarkdownLink(await this.createLinkValue(path[step]), linkStyle)}`;
+                }
+                lines.push(`${i + 1}. ${chain}`);
+            }
+
+            await debugLog('Markdown path generated successfully.');
+            return lines.join('\n') + '\n';
+
+        } catch (error) {
+            await handleError("An error occurred in generateMarkdownPath", error);
+        }
+    }
+
+
+    // Extra text shown after a link health issue: the links of a hub, or the notes sharing an ambiguous name
+    getLintIssueNote(rule, { count }) {
+        if (rule === 'hubs') return `${count} links`;
+        if (rule === 'ambiguous') return `${count} notes with this name`;
+        return null;
+    }
+
+
+    async generateMarkdownLint(lintData, linkStyle) {
+        try {
+            await debugLog('Starting to generate Markdown link health report.');
+
+            const issueCount = Array.from(lintData.values()).reduce((sum, issues) => sum + issues.length, 0);
+            const lines = [`\n**Link health**: ${issueCount} ${issueCount === 1 ? 'issue' : 'issues'}`];
+
+            for (const [rule, issues] of lintData) {
+                lines.push('', `### ${LINT_RULES[rule]} (${issues.length})`, '');
+
+                if (issues.length === 0) {
+                    lines.push('None found.');
+                    continue;
+                }
+
+                for (const issue of issues) {
+                    let line = `- ${this.formatMarkdownLink(await this.createLinkValue(issue.path), linkStyle)}`;
+                    if (issue.link) {
+                        line += ` → ${this.formatMarkdownLink(await this.createLinkValue(issue.link), linkStyle)}`;
+                    }
+
+                    const note = this.getLintIssueNote(rule, issue);
+                    lines.push(note ? `${line} (${note})` : line);
+                }
+            }
+
+            await debugLog('Markdown link health report generated successfully.');
+            return lines.join('\n') + '\n';
+
+        } catch (error) {
+            await handleError("An error occurred in generateMarkdownLint", error);
+        }
+    }
+
+
+    async generateMarkdownSuggest(suggestData, params) {
+        try {
+            await debugLog('Starting to generate Markdown link suggestions.');
+
+            const lines = [`\n**Link suggestions**: ${suggestData.size} ${suggestData.size === 1 ? 'note' : 'notes'} with at most ${params.maxIncoming} incoming ${params.maxIncoming === 1 ? 'link' : 'links'}`];
+            const formatLink = async path => this.formatMarkdownLink(await this.createLinkValue(path, params.showAliases), params.linkStyle);
+
+            for (const [path, { incomingCount, mentions, sharedTags }] of suggestData) {
+                lines.push('', `### ${await formatLink(path)} (${incomingCount} incoming)`, '');
+
+                if (mentions.length === 0 && sharedTags.length === 0) {
+                    lines.push('No suggestions found.');
+                    continue;
+                }
+
+                if (mentions.length > 0) {
+                    lines.push('Unlinked mentions:');
+                    for (const mention of mentions) {
+                        lines.push(`- ${await formatLink(mention.path)}, line ${mention.line}: “${mention.context}”`);
+                    }
+                }
+
+                if (sharedTags.length > 0) {
+                    lines.push('Notes sharing tags:');
+                    for (const { path: sharingPath, tags } of sharedTags) {
+                        lines.push(`- ${await formatLink(sharingPath)}: ${tags.join(', ')}`);
+                    }
+                }
+            }
+
+            await debugLog('Markdown link suggestions generated successfully.');
+            return lines.join('\n') + '\n';
+
+        } catch (error) {
+            await handleError("An error occurred in generateMarkdownSuggest", error);
+        }
+    }
+
+
+    async generateMarkdownStats(stats) {
+        try {
+            await debugLog('Starting to generate Markdown stats.');
+
+            if (!stats || typeof stats !== 'object') {
+                await handleError('Data validation in generateMarkdownStats', 'Invalid stats object', false);
+                return 'Unable to generate statistics due to invalid data.';
+            }
+
+            await debugLog('Generating statistics string...');
+
+            const statsString = `**Statistics**
+    - Execution time: **${stats.executionTime}** sec
+    - Processed ${stats.totalFiles === 1 ? 'file' : 'files'}: **${stats.totalFiles}**
+    - Processed ${stats.totalDirectories === 1 ? 'directory' : 'directories'}: **${stats.totalDirectories}**
+    - ${stats.filesInTable === 1 ? 'File' : 'Files'} in table: **${stats.filesInTable}**
+    - Total outgoing ${stats.totalOutgoingLinks === 1 ? 'link' : 'links'}: **${stats.totalOutgoingLinks}**
+    - Total incoming ${stats.totalIncomingLinks === 1 ? 'link' : 'links'}: **${stats.totalIncomingLinks}**
+    - Unique outgoing ${stats.totalUniqueOutgoingLinks.size === 1 ? 'link' : 'links'}: **${stats.totalUniqueOutgoingLinks.size}**
+    - Unique incoming ${stats.totalUniqueIncomingLinks.size === 1 ? 'link' : 'links'}: **${stats.totalUniqueIncomingLinks.size}**
+    - Unresolved ${stats.totalUnresolvedLinks === 1 ? 'link' : 'links'}: **${stats.totalUnresolvedLinks}**
+    - Skipped ${stats.skippedFiles === 1 ? 'file' : 'files'}: **${stats.skippedFiles}**
+    `;
+
+            await debugLog('Successfully generated statistics string.');
+            return statsString;
+
+        } catch (error) {
+            await handleError('Failed to generate statistics string', error);
+            return 'An error occurred while generating statistics. Please try again.';
+        }
+    }
+
+    // The Markdown inserted by the editor commands for a result of runAnalysis, without the statistics
+    // Returns null if no notes match the parameters
+    async generateMarkdownOutput(params, { linkData, fileNameMap, pathEnds, neighborhood }) {
+        try {
+            if (params.mode === 'lint') {
+                const lintData = await this.lintLinkData(linkData, fileNameMap, params);
+                return await this.generateMarkdownLint(lintData, params.linkStyle);
+            }
+
+            if (params.mode === 'suggest') {
+                const suggestData = await this.suggestLinks(linkData, params);
+                return await this.generateMarkdownSuggest(suggestData, params);
+            }
+
+            if (params.mode === 'path') {
+                const pathData = await this.computeShortestPaths(linkData, pathEnds.from.path, pathEnds.to.path, params.undirected);
+                return await this.generateMarkdownPath(linkData, pathData, pathEnds.from.path, pathEnds.to.path, params.linkStyle);
+            }
+
+            if (params.mode === 'table' && neighborhood) {
+                const sections = await this.prepareNeighborhoodTableData(linkData, neighborhood, params);
+                return await this.generateMarkdownNeighborhood(sections, params.linkStyle);
+            }
+
+            if (params.mode === 'clusters') {
+                const clusterData = await this.computeClusters(linkData, params.clusterBy, params.minClusterSize);
+                return await this.generateMarkdownClusters(linkData, clusterData, params);
+            }
+
+            const preparedData = params.mode === 'unresolved'
+                ? await this.prepareUnresolvedTableData(await this.collectUnresolvedData(linkData), params.sort, params.sortOrder)
+                : await this.prepareTableData(linkData, params.sort, params.sortOrder, params.excludeCol, params.col, params.showAliases);
+            await debugLog(`Prepared data for table generation - ${JSON.stringify(preparedData)}`);
+
+            return preparedData ? await this.generateMarkdownTable(preparedData, params.linkStyle) : null;
+
+        } catch (error) {
+            await handleError("An error occurred in generateMarkdownOutput", error);
+        }
+    }
+
+
+
+
+
+
+
+
+
+
+    // * Exporting results
+
+    // Flat per-note values shared by all export formats
+    async getExportNodes(linkData) {
+        const nodes = [];
+
+        for (const [path, data] of linkData) {
+            nodes.push({
+                path,
+                name: data.name,
+                category: this.getLinkCategory(data),
+                outgoingCount: data.outgoing.size,
+                incomingCount: data.incoming.size,
+                unresolvedCount: data.unresolved.size,
+                outgoing: Array.from(data.outgoing),
+                incoming: Array.from(data.incoming),
+                unresolved: Array.from(data.unresolved),
+                metrics: { ...(data.metrics || {}) }
+            });
+        }
+
+        return nodes;
+    }
+
+
+    // The notes an export writes, sorted like the table: the analyzed notes, or with 'mode: clusters' the notes of the
+    // listed clusters, with the cluster number among their metrics so every format writes it
+    async prepareExportData(linkData, params) {
+        let exportData = linkData;
+
+        if (params.mode === 'clusters') {
+            const { clusters } = await this.computeClusters(linkData, params.clusterBy, params.minClusterSize);
+            exportData = new Map();
+
+            for (const cluster of clusters) {
+                for (const member of cluster.members) {
+                    const data = linkData.get(member);
+                    exportData.set(member, { ...data, metrics: { ...(data.metrics || {}), cluster: cluster.number } });
+                }
+            }
+        }
+
+        return new Map(await this.sortLinkData(exportData, params.sort, params.sortOrder));
+    }
+
+
+    // Links between the exported notes, with the link kinds they were found in
+    async getExportEdges(linkData) {
+        const edges = [];
+
+        for (const [path, data] of linkData) {
+            for (const target of data.outgoing) {
+                if (linkData.has(target)) {
+                    const kinds = Object.entries(data.outgoingKinds || {})
+                        .filter(([, kindLinks]) => kindLinks.has(target))
+                        .map(([kind]) => kind);
+                    edges.push({ source: path, target, kinds });
+                }
+            }
+        }
+
+        return edges;
+    }
+
+
+    getExportStats(stats) {
+        return {
+            totalFiles: stats.totalFiles,
+            totalDirectories: stats.totalDirectories,
+            filesInTable: stats.filesInTable,
+            totalOutgoingLinks: stats.totalOutgoingLinks,
+            totalIncomingLinks: stats.totalIncomingLinks,
+            uniqueOutgoingLinks: stats.totalUniqueOutgoingLinks.size,
+            uniqueIncomingLinks: stats.totalUniqueIncomingLinks.size,
+            totalUnresolvedLinks: stats.totalUnresolvedLinks,
+            skippedFiles: stats.skippedFiles,
+            executionTime: stats.executionTime
+        };
+    }
+
+
+    // Metric names present on any note, in a stable order
+    getExportMetricNames(nodes) {
+        const names = new Set();
+        nodes.forEach(node => Object.keys(node.metrics).forEach(name => names.add(name)));
+        return Array.from(names).sort();
+    }
+
+
+    // Infinite metrics (unreachable distance, degree ratio without outgoing links) are written as 'inf'
+    formatExportNumber(value) {
+        return value === Infinity ? 'inf' : String(value);
+    }
+
+
+    async generateCSV(linkData) {
+        try {
+            await debugLog('Starting to generate CSV.');
+
+            const nodes = await this.getExportNodes(linkData);
+            const metricNames = this.getExportMetricNames(nodes);
+            const escapeCSV = value => /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+
+            const header = ['path', 'name', 'category', 'outgoingCount', 'incomingCount', 'unresolvedCount', 'outgoing', 'incoming', 'unresolved', ...metricNames];
+            const rows = nodes.map(node => [
+                node.path,
+                node.name,
+                node.category,
+                node.outgoingCount,
+                node.incomingCount,
+                node.unresolvedCount,
+                node.outgoing.join('; '),
+                node.incoming.join('; '),
+                node.unresolved.join('; '),
+                ...metricNames.map(name => node.metrics[name] === undefined ? '' : this.formatExportNumber(node.metrics[name]))
+            ]);
+
+            await debugLog('CSV generated successfully.');
+            return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+
+        } catch (error) {
+            await handleError('An error occurred in generateCSV', error);
+        }
+    }
+
+
+    async generateJSON(linkData, stats) {
+        try {
+            await debugLog('Starting to generate JSON.');
+
+            const nodes = await this.getExportNodes(linkData);
+            for (const node of nodes) {
+                for (const [name, value] of Object.entries(node.metrics)) {
+                    node.metrics[name] = value === Infinity ? 'inf' : value;
+                }
+            }
+
+            const json = JSON.stringify({
+                stats: this.getExportStats(stats),
+                nodes,
+                edges: await this.getExportEdges(linkData)
+            }, null, 2);
+
+            await debugLog('JSON generated successfully.');
+            return json;
+
+        } catch (error) {
+            await handleError('An error occurred in generateJSON', error);
+        }
+    }
+
+
+    async generateGraphML(linkData, stats) {
+        try {
+            await debugLog('Starting to generate GraphML.');
+
+            const nodes = await this.getExportNodes(linkData);
+            const edges = await this.getExportEdges(linkData);
+            const metricNames = this.getExportMetricNames(nodes);
+            const exportStats = this.getExportStats(stats);
+            const escapeXML = value => String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&apos;');
+
+            const xml = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+            ];
+
+            for (const name of Object.keys(exportStats)) {
+                xml.push(`  <key id="${name}" for="graph" attr.name="${name}" attr.type="double"/>`);
+            }
+            xml.push('  <key id="name" for="node" attr.name="name" attr.type="string"/>');
+            xml.push('  <key id="category" for="node" attr.name="category" attr.type="string"/>');
+            for (const name of ['outgoingCount', 'incomingCount', 'unresolvedCount']) {
+                xml.push(`  <key id="${name}" for="node" attr.name="${name}" attr.type="int"/>`);
+            }
+            for (const name of metricNames) {
+                xml.push(`  <key id="${name}" for="node" attr.name="${name}" attr.type="double"/>`);
+            }
+            xml.push('  <key id="kinds" for="edge" attr.name="kinds" attr.type="string"/>');
+
+            xml.push('  <graph id="links" edgedefault="directed">');
+            for (const [name, value] of Object.entries(exportStats)) {
+                if (value !== undefined) {
+                    xml.push(`    <data key="${name}">${value}</data>`);
+                }
+            }
+
+            for (const node of nodes) {
+                xml.push(`    <node id="${escapeXML(node.path)}">`);
+                xml.push(`      <data key="name">${escapeXML(node.name)}</data>`);
+                xml.push(`      <data key="category">${node.category}</data>`);
+                for (const name of ['outgoingCount', 'incomingCount', 'unresolvedCount']) {
+                    xml.push(`      <data key="${name}">${node[name]}</data>`);
+                }
+                for (const name of metricNames) {
+                    if (node.metrics[name] !== undefined) {
+                        xml.push(`      <data key="${name}">${node.metrics[name] === Infinity ? 'INF' : node.metrics[name]}</data>`);
+                    }
+                }
+                xml.push('    </node>');
+            }
+
+            for (const edge of edges) {
+                xml.push(`    <edge source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}">`);
+                xml.push(`      <data key="kinds">${edge.kinds.join(',')}</data>`);
+                xml.push('    </edge>');
+            }
+
+            xml.push('  </graph>');
+            xml.push('</graphml>');
+
+            await debugLog('GraphML generated successfully.');
+            return xml.join('\n') + '\n';
+
+        } catch (error) {
+            await handleError('An error occurred in generateGraphML', error);
+        }
+    }
+
+
+    async generateDOT(linkData, stats) {
+        try {
+            await debugLog('Starting to generate DOT.');
+
+            const nodes = await this.getExportNodes(linkData);
+            const edges = await this.getExportEdges(linkData);
+            const quoteDOT = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+            const dot = ['digraph links {'];
+
+            for (const [name, value] of Object.entries(this.getExportStats(stats))) {
+                dot.push(`  // ${name}: ${value}`);
+            }
+
+            for (const node of nodes) {
+                const attributes = [
+                    `label=${quoteDOT(node.name)}`,
+                    `category=${quoteDOT(node.category)}`,
+                    `outgoingCount=${node.outgoingCount}`,
+                    `incomingCount=${node.incomingCount}`,
+                    `unresolvedCount=${node.unresolvedCount}`,
+                    ...Object.entries(node.metrics).map(([name, value]) => `${name}=${quoteDOT(this.formatExportNumber(value))}`)
+                ];
+                dot.push(`  ${quoteDOT(node.path)} [${attributes.join(', ')}];`);
+            }
+
+            for (const edge of edges) {
+                dot.push(`  ${quoteDOT(edge.source)} -> ${quoteDOT(edge.target)} [kinds=${quoteDOT(edge.kinds.join(','))}];`);
+            }
+
+            dot.push('}');
+
+            await debugLog('DOT generated successfully.');
+            return dot.join('\n') + '\n';
+
+        } catch (error) {
+            await handleError('An error occurred in generateDOT', error);
+        }
+    }
+
+
+
+
+
+
+
+
+
+
+    // * Fixing links
+
+    // Files a broken link may have meant, closest name first; links with an extension are compared with the file names
+    rankLinkTargets(linkpath) {
+        const name = linkpath.split('/').pop().toLowerCase();
+        const hasExtension = /\.[^.]+$/.test(name);
+
+        return this.app.vault.getFiles()
+            .map(file => ({ file, distance: editDistance(name, (hasExtension ? file.name : file.basename).toLowerCase()) }))
+            .sort((a, b) => a.distance - b.distance || a.file.path.localeCompare(b.file.path))
+            .map(({ file }) => file);
+    }
+
+
+    // The file a broken link most likely meant: the closest file, if it is close enough and no other file is as close
+    findLikelyTarget(linkpath) {
+        const name = linkpath.split('/').pop().toLowerCase();
+        const maxDistance = Math.max(1, Math.floor(name.length / 4));
+
+        const [best, next] = this.rankLinkTargets(linkpath).slice(0, 2).map(file => ({
+            file,
+            distance: editDistance(name, (/\.[^.]+$/.test(name) ? file.name : file.basename).toLowerCase())
+        }));
+
+        if (!best || best.distance > maxDistance || (next && next.distance === best.distance)) {
+            return null;
+        }
+        return best.file;
+    }
+
+
+    // Rewrites one link as written in a note to point at targetFile; subpaths and display text are kept
+    // Wikilinks get the shortest link text, or with fullPath the full path and, if they had none, the old link as display
+    // text so they read the same; Markdown links always get the full path
+    rewriteLinkText(original, targetFile, sourcePath, fullPath = false, inTable = false) {
+        const markdownMatch = original.match(/^(!?\[[^\]]*\]\()(?:<[^#>]*(#[^>]*)?>|[^#\s)]*(#[^\s)]*)?)(\s+"[^"]*")?\)$/);
+
+        if (markdownMatch) {
+            const [, prefix, bracketedSubpath, subpath, title = ''] = markdownMatch;
+            if (original.slice(prefix.length).startsWith('<')) {
+                return `${prefix}<${targetFile.path}${bracketedSubpath || ''}>${title})`;
+            }
+
+            const target = encodeURI(targetFile.path).replace(/[#()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+            return `${prefix}${target}${subpath || ''}${title})`;
+        }
+
+        const wikilinkMatch = original.match(/^(!?\[\[)([^\]]*?)((?:[#^][^\]|\\]*)?)((?:\\?\|[^\]]*)?)\]\]$/);
+        if (!wikilinkMatch) {
+            return original;
+        }
+
+        const [, prefix, oldLinkpath, subpath, display] = wikilinkMatch;
+        const linkText = fullPath
+            ? targetFile.path.replace(/\.md$/, '')
+            : this.app.metadataCache.fileToLinktext(targetFile, sourcePath, true);
+        const newDisplay = display || (fullPath && !subpath && linkText !== oldLinkpath ? `${inTable ? '\\|' : '|'}${oldLinkpath}` : '');
+
+        return `${prefix}${linkText}${subpath}${newDisplay}]]`;
+    }
+
+
+    // Plans the change to one note that points its links at other files
+    // 'rewrites' maps the linkpaths to change to { file, fullPath }; returns null if no link matches
+    async planLinkRewrites(sourcePath, rewrites) {
+        try {
+            const file = this.app.vault.getAbstractFileByPath(sourcePath);
+            const fileCache = file instanceof TFile ? this.app.metadataCache.getFileCache(file) : null;
+            if (!fileCache) {
+                return null;
+            }
+
+            const before = await this.app.vault.read(file);
+            const beforeLines = before.split('\n');
+            let after = before;
+
+            // Links in the body are replaced from the end, so the offsets of earlier links stay valid
+            const references = [...(fileCache.links || []), ...(fileCache.embeds || [])]
+                .filter(reference => rewrites.has(getLinkpath(reference.link)))
+                .sort((a, b) => b.position.start.offset - a.position.start.offset);
+
+            for (const reference of references) {
+                const { file: targetFile, fullPath } = rewrites.get(getLinkpath(reference.link));
+                const { start, end } = reference.position;
+
+                if (after.slice(start.offset, end.offset) === reference.original) {
+                    const inTable = /^\s*\|/.test(beforeLines[start.line] || '');
+                    const newText = this.rewriteLinkText(reference.original, targetFile, sourcePath, fullPath, inTable);
+                    after = after.slice(0, start.offset) + newText + after.slice(end.offset);
+                }
+            }
+
+            // Links in properties have no position, so they are replaced as written within the frontmatter
+            const frontmatterMatch = after.match(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/);
+            if (frontmatterMatch) {
+                let frontmatter = frontmatterMatch[0];
+
+                for (const reference of fileCache.frontmatterLinks || []) {
+                    const rewrite = rewrites.get(getLinkpath(reference.link));
+                    if (rewrite) {
+                        const newText = this.rewriteLinkText(reference.original, rewrite.file, sourcePath, rewrite.fullPath);
+                        frontmatter = frontmatter.split(reference.original).join(newText);
+                    }
+                }
+
+                after = frontmatter + after.slice(frontmatterMatch[0].length);
+            }
+
+            if (after === before) {
+                return null;
+            }
+
+            // Links are rewritten within their lines, so the lines of both versions correspond
+            const edits = after.split('\n')
+                .map((line, index) => ({ line: index + 1, before: beforeLines[index], after: line }))
+                .filter(edit => edit.before !== edit.after);
+
+            return { action: 'modify', path: sourcePath, before, after, edits };
+
+        } catch (error) {
+            await handleError(`An error occurred while planning link fixes in ${sourcePath}`, error);
+        }
+    }
+
+
+    // Plans a new note for a link to a missing note, where Obsidian would create it when the link is clicked
+    async planNoteCreation(linkpath, sourcePath) {
+        try {
+            const fileName = /\.[^./]+$/.test(linkpath) ? linkpath : `${linkpath}.md`;
+            const parentPath = linkpath.includes('/')
+                ? ''
+                : this.app.fileManager.getNewFileParent(sourcePath)?.path ?? '';
+            const path = normalizePath(parentPath && parentPath !== '/' ? `${parentPath}/${fileName}` : fileName);
+
+            if (this.app.vault.getAbstractFileByPath(path)) {
+                return null;
+            }
+
+            return { action: 'create', path, before: null, after: await this.getNoteTemplate(path), edits: [] };
+
+        } catch (error) {
+            await handleError(`An error occurred while planning a note for ${linkpath}`, error);
+        }
+    }
+
+
+    // Plans turning an unlinked mention into a wikilink to the mentioned note, keeping the text as written
+    async planMentionLink(sourcePath, targetPath, { offset, text }) {
+        try {
+            const file = this.app.vault.getAbstractFileByPath(sourcePath);
+            const targetFile = this.app.vault.getAbstractFileByPath(targetPath);
+            if (!(file instanceof TFile) || !(targetFile instanceof TFile)) {
+                return null;
+            }
+
+            const before = await this.app.vault.read(file);
+            if (before.slice(offset, offset + text.length) !== text) {
+                return null;
+            }
+
+            const lineStart = before.lastIndexOf('\n', offset - 1) + 1;
+            const lineEnd = before.indexOf('\n', offset) === -1 ? before.length : before.indexOf('\n', offset);
+            const pipe = /^\s*\|/.test(before.slice(lineStart, lineEnd)) ? '\\|' : '|';
+
+            const linkText = this.app.metadataCache.fileToLinktext(targetFile, sourcePath, true);
+            const link = linkText === text ? `[[${text}]]` : `[[${linkText}${pipe}${text}]]`;
+            const after = before.slice(0, offset) + link + before.slice(offset + text.length);
+            const line = before.slice(0, offset).split('\n').length;
+
+            return {
+                action: 'modify',
+                path: sourcePath,
+                before,
+                after,
+                edits: [{ line, before: before.slice(lineStart, lineEnd), after: after.slice(lineStart, lineEnd + link.length - text.length) }]
+            };
+
+        } catch (error) {
+            await handleError(`An error occurred while planning a link in ${sourcePath}`, error);
+        }
+    }
+
+
+    // The text of the template in the settings, with {{title}}, {{date}} and {{time}} filled in as the Templates core plugin does
+    async getNoteTemplate(path) {
+        const templateFile = this.settings.newNoteTemplate
+            ? this.app.metadataCache.getFirstLinkpathDest(this.settings.newNoteTemplate.replace(/\.md$/, ''), '')
+            : null;
+
+        if (!templateFile) {
+            return '';
+        }
+
+        const now = new Date();
+        const pad = number => String(number).padStart(2, '0');
+        const values = {
+            title: path.split('/').pop().replace(/\.md$/, ''),
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            time: `${pad(now.getHours())}:${pad(now.getMinutes())}`
+        };
+
+        const template = await this.app.vault.read(templateFile);
+        return template.replace(/{{\s*(title|date|time)\s*}}/gi, (match, key) => values[key.toLowerCase()]);
+    }
+
+
+    // Plans fixes for every ambiguous link in lintData: they get the full path of the note they resolve to now
+    // Unresolved links are never guessed at in a batch, since a new note or a near name like a neighbouring date is as
+    // likely as a typo; they are listed as skipped, with the closest note as a hint for "Link to…"
+    // Returns the changes, one per note, and the links that were left as they are with the reason
+    async planLinkFixes(lintData) {
+        try {
+            const rewritesBySource = new Map();
+            const skipped = [];
+
+            const addRewrite = (sourcePath, linkpath, rewrite) => {
+                if (!rewritesBySource.has(sourcePath)) {
+                    rewritesBySource.set(sourcePath, new Map());
+                }
+                rewritesBySource.get(sourcePath).set(linkpath, rewrite);
+            };
+
+            for (const { path, link } of lintData.get('ambiguous') || []) {
+                const targetFile = this.app.metadataCache.getFirstLinkpathDest(link, path);
+                if (targetFile) {
+                    addRewrite(path, link, { file: targetFile, fullPath: true });
+                }
+            }
+
+            for (const { path, link } of lintData.get('unresolved') || []) {
+                const likelyFile = this.findLikelyTarget(link);
+                skipped.push({ path, link, reason: likelyFile ? `unresolved, closest match: ${likelyFile.path}` : 'unresolved, no close match' });
+            }
+
+            const changes = [];
+            for (const [sourcePath, rewrites] of rewritesBySource) {
+                const change = await this.planLinkRewrites(sourcePath, rewrites);
+                if (change) {
+                    changes.push(change);
+                }
+            }
+
+            await debugLog(`Planned link fixes in ${changes.length} notes, ${skipped.length} links skipped`);
+            return { changes, skipped };
+
+        } catch (error) {
+            await handleError('An error occurred while planning link fixes', error);
+        }
+    }
+
+
+    // Applies planned changes; a note that changed since it was planned is left alone
+    // Returns the changes that were applied, in order, so they can be reverted together
+    async applyLinkFixes(changes) {
+        const applied = [];
+
+        for (const change of changes) {
+            try {
+                if (change.action === 'create') {
+                    const folder = change.path.split('/').slice(0, -1).join('/');
+                    if (folder && !this.app.vault.getAbstractFileByPath(folder)) {
+                        await this.app.vault.createFolder(folder);
+                    }
+                    await this.app.vault.create(change.path, change.after);
+                } else {
+                    const file = this.app.vault.getAbstractFileByPath(change.path);
+                    await this.app.vault.process(file, data => {
+                        if (data !== change.before) {
+                            throw new Error('The note changed since the fix was planned');
+                        }
+                        return change.after;
+                    });
+                }
+
+                applied.push(change);
+
+            } catch (error) {
+                await handleError(`Failed to fix links in ${change.path}`, error, false);
+            }
+        }
+
+        await debugLog(`Applied ${applied.length} of ${changes.length} link fixes`);
+        return applied;
+    }
+
+
+    // Reverts applied changes, last first; notes edited since then are kept as they are
+    // Returns the paths that could not be reverted
+    async revertLinkFixes(changes) {
+        const kept = [];
+
+        for (const change of [...changes].reverse()) {
+            try {
+                const file = this.app.vault.getAbstractFileByPath(change.path);
+                const content = file instanceof TFile ? await this.app.vault.read(file) : null;
+
+                if (content !== change.after) {
+                    kept.push(change.path);
+                } else if (change.action === 'create') {
+                    // Moved to the trash the user chose in the settings, like notes deleted in Obsidian
+                    await this.app.fileManager.trashFile(file);
+                } else {
+                    await this.app.vault.modify(file, change.before);
+                }
+
+            } catch (error) {
+                await handleError(`Failed to revert the link fixes in ${change.path}`, error, false);
+                kept.push(change.path);
+            }
+        }
+
+        return kept;
+    }
+
+
+
+
+
+
+
+
+
+
+    // * Event registration and processing
+
+    async generateMarkdownDiagnostics(diagnostics) {
+        const problems = diagnostics.getSortedProblems();
+        const lines = [`> [!error] Link Analyzer: ${problems.length} ${problems.length === 1 ? 'problem' : 'problems'} with the parameters`];
+
+        for (const { line, key, message, allowed } of problems) {
+            const location = [line !== null ? `Line ${line}` : null, key ? `\`${key}\`` : null].filter(Boolean).join(', ');
+            lines.push(`> - ${location ? `${location}: ` : ''}${message}`);
+
+            if (allowed && allowed.length > 0) {
+                lines.push(`>   Allowed: ${allowed.map(value => `\`${value}\``).join(', ')}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+
+
+
+
+
+
+
+
+
+class LinkAnalyzer extends Plugin {
+
+    // * Initialization and life cycle of the plugin
+
+    async onload() {
+        try {
+            console.log(`Link Analyzer: Enabled`);
+
+            this.codeBlocks = new Set();
+            this.requestRenderAfterSettingsChange = debounce(() => this.renderAfterSettingsChange(), SETTINGS_RENDER_DELAY);
+            await this.loadSettings();
+            await this.loadLinkIndex();
+            this.core = new LinkAnalysisCore(this.app, this.settings, this.linkIndex, () => this.requestSaveLinkIndex());
+
+            this.addSettingTab(new LinkAnalyzerSettingTab(this.app, this));
+
+            // Lets links in rendered blocks show the page preview, following the Page preview core plugin settings
+            this.hoverParent = { hoverPopover: null };
+            this.registerHoverLinkSource('link-analyzer', { display: 'Link Analyzer', defaultMod: true });
+
+            this.addCommand({
+                id: 'link-analyzer-standard-scan',
+                name: 'Insert Markdown Table (Standard Filter)',
+                callback: async () => {
+                    await this.analyzeLinks();
+                },
+            });
+
+            this.addCommand({
+                id: 'link-analyzer-comprehensive-scan',
+                name: 'Insert Markdown Table (All Files + Stats)',
+                callback: async () => {
+                    const params = {
+                        fileType: 'all',
+                        showStats: true
+                    };
+                    await this.analyzeLinks(params);
+                },
+            });
+
+            this.registerView(LINT_VIEW_TYPE, leaf => new LinkLintView(leaf, this));
+
+            this.addCommand({
+                id: 'link-analyzer-open-lint-view',
+                name: 'Open Link Health Panel',
+                callback: async () => {
+                    await this.activateLintView();
+                },
+            });
 
-            if (!targetPaths.every(path => typeof path === 'string')) {
-                await handleError('validateInput', "Validation failed: All elements in targetPaths should be strings", false);
-                return false;
-            }
+            this.addCommand({
+                id: 'link-analyzer-fix-links',
+                name: 'Fix Ambiguous Links',
+                callback: async () => {
+                    await this.fixAllLinks();
+                },
+            });
 
-            if (!fileType) {
-                await handleError('validateInput', "Validation failed: fileType should not be null or undefined", false);
-                return false;
+            this.addCommand({
+                id: 'link-analyzer-undo-link-fixes',
+                name: 'Undo Last Link Fixes',
+                callback: async () => {
+                    await this.undoLinkFixes();
+                },
+            });
+
+            this.addCommand({
+                id: 'link-analyzer-shortest-path',
+                name: 'Insert Shortest Link Path From Current Note',
+                callback: async () => {
+                    new NoteSuggestModal(this.app, async file => {
+                        await this.analyzeLinks({ mode: 'path', to: file.path, undirected: false });
+                    }).open();
+                },
+            });
+
+            for (const [format, formatName] of Object.entries(EXPORT_FORMATS)) {
+                this.addCommand({
+                    id: `link-analyzer-export-${format}`,
+                    name: `Export Analysis as ${formatName}`,
+                    callback: async () => {
+                        await this.exportLinkData(format);
+                    },
+                });
             }
 
-            await debugLog("Input parameters are valid.");
-            return true;
+            await this.registerCodeBlock();
+            await this.registerVaultEvents();
+
+            await debugLog('onload completed successfully');
 
         } catch (error) {
-            await handleError('An unexpected error occurred during input validation', error);
+            await handleError("Failed in onload", error);
         }
     }
 
 
-    async validateLinkData(linkData) {
-        try {
-            await debugLog("Validating linkData...");
+    async onunload() {
+        await this.saveLinkIndex();
+        console.log(`Link Analyzer: Disabled`);
+    }
 
-            if (!linkData || !(linkData instanceof Map)) {
-                await handleError('validateLinkData', "Validation failed: Invalid linkData, must be a Map", false);
-                return false;
-            }
 
-            await debugLog("linkData validated successfully.");
-            return true;
+    // Settings and the link index share data.json; both are kept in this.data, which is loaded once and written whole
+    async loadSettings() {
+        try {
+            this.data = await this.loadData() || {};
+            this.settings = Object.assign({}, DEFAULT_SETTINGS, this.data.settings);
+            globalThis.debugMode = this.settings.debugMode;
+            await debugLog('Settings loaded');
 
         } catch (error) {
-            await handleError('An unexpected error occurred during linkData validation', error);
+            await handleError('Failed to load settings', error, false);
+            this.data = {};
+            this.settings = Object.assign({}, DEFAULT_SETTINGS);
         }
     }
 
 
-    async validateStatsFields(stats) {
+    // Called on every change in the settings tab; rendered blocks and the link health panel follow once typing pauses
+    async saveSettings() {
         try {
-            await debugLog("Validating stats fields...", stats);
+            this.data.settings = this.settings;
+            globalThis.debugMode = this.settings.debugMode;
+            await this.writeData();
+            await debugLog('Settings saved');
 
-            const requiredStatsFields = [
-                'totalFiles',
-                'totalDirectories',
-                'totalUniqueOutgoingLinks',
-                'totalUniqueIncomingLinks',
-                'totalOutgoingLinks',
-                'totalIncomingLinks',
-                'skippedFiles',
-                'filesInTable'
-            ];
+            this.requestRenderAfterSettingsChange();
 
-            for (const field of requiredStatsFields) {
-                if (stats[field] === undefined) {
-                    await handleError('validateStatsFields', `Field ${field} is missing in stats`, false);
-                    return false;
-                }
-            }
+        } catch (error) {
+            await handleError('Failed to save settings', error, false);
+        }
+    }
 
-            await debugLog("Stats fields validated successfully.");
-            return true;
 
-        } catch (error) {
-            await handleError('An error occurred in validateStatsFields', error);
+    // Defaults may have changed for every rendered block and the link health panel
+    renderAfterSettingsChange() {
+        for (const codeBlock of this.codeBlocks) {
+            codeBlock.requestRender();
+        }
+        for (const leaf of this.app.workspace.getLeavesOfType(LINT_VIEW_TYPE)) {
+            leaf.view.requestRender();
         }
     }
 
 
-    async validateOutput(linkData, stats) {
+    async loadLinkIndex() {
         try {
-            await debugLog("Validating output data...");
+            this.linkIndex = new LinkIndex(this.data?.linkIndex);
+            this.requestSaveLinkIndex = debounce(() => this.saveLinkIndex(), 5000);
+            await debugLog(`Link index loaded with ${this.linkIndex.entries.size} entries`);
 
-            const isLinkDataValid = await this.validateLinkData(linkData);
-            const areStatsFieldsValid = await this.validateStatsFields(stats);
+        } catch (error) {
+            await handleError('Failed to load link index', error, false);
+            this.linkIndex = new LinkIndex();
+        }
+    }
 
-            if (!isLinkDataValid || !areStatsFieldsValid) {
-                return false;
+
+    async saveLinkIndex() {
+        try {
+            if (!this.linkIndex || !this.linkIndex.isDirty) {
+                return;
             }
 
-            await debugLog("Output data validated successfully.");
-            return true;
+            this.data.linkIndex = this.linkIndex.toJSON();
+            this.linkIndex.isDirty = false;
+            await this.writeData();
+            await debugLog('Link index saved');
 
         } catch (error) {
-            await handleError('An unexpected error occurred during output validation', error);
+            this.linkIndex.isDirty = true;
+            await handleError('Failed to save link index', error, false);
         }
     }
 
 
+    // Writes this.data after any write still in progress, so an earlier write never lands after a later one
+    writeData() {
+        const write = (this.pendingWrite || Promise.resolve()).then(() => this.saveData(this.data));
+        this.pendingWrite = write.catch(() => {});
+        return write;
+    }
 
 
+    // Opens the link health panel in the right sidebar, or shows it if it is already open
+    async activateLintView() {
+        let leaf = this.app.workspace.getLeavesOfType(LINT_VIEW_TYPE)[0];
 
+        if (!leaf) {
+            leaf = this.app.workspace.getRightLeaf(false);
+            await leaf.setViewState({ type: LINT_VIEW_TYPE, active: true });
+        }
 
+        this.app.workspace.revealLeaf(leaf);
+    }
 
 
 
 
 
-    // * Data collection and analysis
 
-    async getFilesData(stats) {
-        try {
-            await debugLog("Fetching all files...");
-            const vault = this.app.vault;
-            const allFiles = await vault.getFiles();
-            const allMarkdownFiles = await vault.getMarkdownFiles();
 
-            if (allFiles && allFiles.length > 0) {
-                await stats.updateTotalFiles(allFiles.length);
-            }
 
-            if (allMarkdownFiles && allMarkdownFiles.length > 0) {
-                await stats.updateTotalFiles(allMarkdownFiles.length);
-            }
 
-            await debugLog("Fetched all files.");
-            return { allFiles, allMarkdownFiles };
 
-        } catch (error) {
-            await handleError("An error occurred while fetching files", error);
-            throw error;
-        }
-    }
+    // * Generating and outputting results
 
+    // Renders a prepared cell: links become internal links, lists get one numbered line per link, everything else stays text
+    renderCellContent(td, value, sourcePath) {
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => {
+                if (i > 0) {
+                    td.appendText(',');
+                    td.createEl('br');
+                }
 
-    async collectData(allMarkdownFiles, currentFile, targetPaths, stats) {
-        try {
-            const linkData = new Map();
-            const uniqueDirectories = new Set();
-            const fileNameMap = new Map();
+                if (item && typeof item === 'object') {
+                    td.appendText(`${i + 1}. `);
+                    this.createInternalLink(td, item.linkText, sourcePath, item.display);
+                } else {
+                    td.appendText(String(item));
+                }
+            });
+            return;
+        }
 
-            const includePaths = targetPaths.filter(path => !path.startsWith('-'));
-            const excludePaths = targetPaths.filter(path => path.startsWith('-')).map(path => path.substring(1));
-            const shouldIncludeAll = !targetPaths || targetPaths.length === 0;
+        if (value && typeof value === 'object') {
+            this.createInternalLink(td, value.linkText, sourcePath, value.display);
+            return;
+        }
 
-            if (!Array.isArray(allMarkdownFiles) || !currentFile || !Array.isArray(targetPaths) || !stats) {
-                await handleError('Data validation in collectData', 'Invalid input parameters');
-            }
+        td.appendText(String(value ?? ''));
+    }
 
-            await stats.updateTotalFiles(allMarkdownFiles.length);
 
-            for (const file of allMarkdownFiles) {
-                await debugLog(`Processing file: ${file.path}`);
+    // Internal links open on click (in a new pane with Ctrl/Cmd) and show the page preview on hover
+    createInternalLink(parentEl, linkText, sourcePath, text = linkText) {
+        const link = parentEl.createEl('a', { cls: 'internal-link', text, href: linkText, attr: { 'data-href': linkText, target: '_blank', rel: 'noopener' } });
 
-                if (!file.path.endsWith('.md')) {
-                    continue;
-                }
+        link.addEventListener('click', evt => {
+            evt.preventDefault();
+            this.app.workspace.openLinkText(linkText, sourcePath || '', Keymap.isModEvent(evt));
+        });
 
-                const fileName = file.path.split('/').pop().replace(/\.md$/, '');
+        link.addEventListener('mouseover', evt => {
+            this.app.workspace.trigger('hover-link', {
+                event: evt,
+                source: 'link-analyzer',
+                hoverParent: this.hoverParent,
+                targetEl: link,
+                linktext: linkText,
+                sourcePath: sourcePath || ''
+            });
+        });
 
-                if (fileNameMap.has(fileName)) {
-                    fileNameMap.set(fileName, fileNameMap.get(fileName) + 1);
-                } else {
-                    fileNameMap.set(fileName, 1);
-                }
+        return link;
+    }
 
-                if (file.path === currentFile.path) {
-                    await stats.updateTotalFiles(stats.totalFiles - 1);
-                    continue;
-                }
 
-                const directory = file.path.split('/').slice(0, -1).join('/');
-                uniqueDirectories.add(directory);
+    // getTableState gives the state each cluster's table keeps across re-renders
+    async renderHTMLClusters(containerEl, linkData, clusterData, params, sourcePath, getTableState = () => ({})) {
+        try {
+            await debugLog('Starting to render HTML clusters.');
 
-                const filePathWithoutExtension = file.path.replace(/\.md$/, '');
+            const { clusterBy, clusters, weakCount, strongCount } = clusterData;
+            containerEl.createEl('p', { cls: 'ola-clusters-summary', text: `${weakCount} weakly connected, ${strongCount} strongly connected ${strongCount === 1 ? 'component' : 'components'}` });
 
-                const shouldSaveFullPath = fileNameMap.get(fileName) > 1;
-                const keyToSave = shouldSaveFullPath ? filePathWithoutExtension : fileName;
+            for (const cluster of clusters) {
+                const clusterLinkData = new Map(cluster.members.map(member => [member, linkData.get(member)]));
+                const preparedData = await this.core.prepareTableData(clusterLinkData, params.sort, params.sortOrder, params.excludeCol, params.col, params.showAliases);
 
-                const shouldInclude = includePaths.includes(keyToSave) || includePaths.includes(directory + '/');
-                const shouldExclude = excludePaths.includes(keyToSave) || excludePaths.includes(directory + '/');
+                containerEl.createEl('h4', { cls: 'ola-cluster-title', text: `${clusterBy === 'strong' ? 'Strong' : 'Weak'} cluster ${cluster.number} (${cluster.members.length} ${cluster.members.length === 1 ? 'note' : 'notes'})` });
+                new InteractiveTable(this, containerEl.createDiv({ cls: 'ola-table' }), preparedData, params.pageSize, sourcePath, getTableState(`cluster-${cluster.number}`)).render();
 
-                if ((shouldIncludeAll || shouldInclude) && !shouldExclude) {
-                    const fileCache = this.app.metadataCache.getFileCache(file);
+                if (cluster.bridges.size > 0) {
+                    const bridges = containerEl.createEl('p', { cls: 'ola-cluster-bridges', text: 'Bridging notes: ' });
+                    let isFirst = true;
 
-                    if (!fileCache || !file) {
-                        await stats.updateSkippedFiles(1);
-                        continue;
+                    for (const [path, otherClusters] of cluster.bridges) {
+                        if (!isFirst) bridges.appendText('; ');
+                        this.createInternalLink(bridges, await this.core.getLinkText(path), sourcePath);
+                        bridges.appendText(` ↔ ${Array.from(otherClusters).sort((a, b) => a - b).join(', ')}`);
+                        isFirst = false;
                     }
-
-                    const outgoingLinks = fileCache.links ? new Set(fileCache.links.map(link => link.link)) : new Set();
-                    linkData.set(keyToSave, {
-                        outgoing: outgoingLinks,
-                        incoming: new Set(),
-                        incomingCount: 0
-                    });
                 }
 
-                await stats.updateTotalDirectories(uniqueDirectories.size);
+                if (cluster.connectingNotes.length > 0) {
+                    const connectingNotes = containerEl.createEl('p', { cls: 'ola-cluster-bridges', text: 'Connecting notes: ' });
+
+                    for (const [i, path] of cluster.connectingNotes.entries()) {
+                        if (i > 0) connectingNotes.appendText(', ');
+                        this.createInternalLink(connectingNotes, await this.core.getLinkText(path), sourcePath);
+                    }
+                }
             }
 
-            await debugLog('Data collection completed successfully');
-            return { linkData, fileNameMap };
+            await debugLog('HTML clusters rendered successfully.');
 
         } catch (error) {
-            await handleError("Error in collectData", error);
+            await handleError("An error occurred in renderHTMLClusters", error);
         }
     }
 
 
-
-    async analyzeData(linkData, stats, fileNameMap) {
+    // getTableState gives the state each hop's table keeps across re-renders
+    async renderHTMLNeighborhood(containerEl, sections, params, sourcePath, getTableState = () => ({})) {
         try {
-            await debugLog("Starting to analyze link data");
-
-            if (!(await this.validateStatsFields(stats))) {
-                await handleError('Data validation in analyzeData', 'Invalid stats', false);
-                return null;
-            } else {
-                await debugLog(`stats: ${JSON.stringify(stats)}`);
-            }
-
-            if (!(await this.validateLinkData(linkData))) {
-                await handleError('Data validation in analyzeData', 'Invalid linkData', false);
-                return null;
-            } else {
-                await debugLog(`LinkData size: ${linkData.size}`);
-            }
-
-            for (const [filename, data] of linkData.entries()) {
-                await debugLog(`Processing filename: ${filename}`);
-
-                if (!data || !data.outgoing) {
-                    await handleError('Data validation in analyzeData', `Invalid data for filename: ${filename}`, false);
-                    continue;
-                }
-
-                for (const outgoingLink of data.outgoing) {
-                    const shouldUseFullPath = fileNameMap.get(outgoingLink) > 1;
-                    const keyToLookup = shouldUseFullPath ? outgoingLink : outgoingLink.split('/').pop().replace(/\.md$/, '');
+            await debugLog('Starting to render HTML neighborhood.');
 
-                    if (linkData.has(keyToLookup)) {
-                        const outgoingData = linkData.get(keyToLookup);
-                        if (outgoingData) {
-                            if (!outgoingData.incoming) {
-                                outgoingData.incoming = new Set();
-                            }
-
-                            if (outgoingData.incoming instanceof Set) {
-                                outgoingData.incoming.add(filename);
-                                outgoingData.incomingCount++;
-                                await debugLog(`Added incoming link for ${outgoingLink}`);
-                            } else {
-                                await handleError('Data validation in analyzeData', `Incoming links for ${outgoingLink} is not a Set`, false);
-                            }
-                        } else {
-                            await handleError('Data validation in analyzeData', `Data for ${outgoingLink} is undefined`, false);
-                        }
-                    }
-                }
+            for (const { hop, size, preparedData } of sections) {
+                containerEl.createEl('h4', { cls: 'ola-hop-title', text: `${hop === 0 ? 'Root note' : `${hop} ${hop === 1 ? 'hop' : 'hops'}`} (${size} ${size === 1 ? 'note' : 'notes'})` });
+                new InteractiveTable(this, containerEl.createDiv({ cls: 'ola-table' }), preparedData, params.pageSize, sourcePath, getTableState(`hop-${hop}`)).render();
             }
 
-
-
-            await debugLog("Finished analyzing link data");
-            return linkData;
+            await debugLog('HTML neighborhood rendered successfully.');
 
         } catch (error) {
-            await handleError('An error occurred during data analysis', error);
+            await handleError("An error occurred in renderHTMLNeighborhood", error);
         }
     }
 
 
-    async filterData(linkData, stats, fileType) {
+    async renderHTMLPath(containerEl, linkData, pathData, fromPath, toPath, sourcePath) {
         try {
-            await debugLog("Filtering and deleting data...");
+            await debugLog('Starting to render HTML path.');
 
-            const validFileTypes = [
-                'all',
-                'noLinks',
-                'onlyOutgoingNoIncoming',
-                'onlyIncomingNoOutgoing',
-                'bothIncomingAndOutgoing',
-                'eitherIncomingOrOutgoing'
-            ];
+            const summary = containerEl.createEl('p', { cls: 'ola-path-summary' });
+            summary.appendText(pathData.distance === null ? 'No link path from ' : 'Shortest link path from ');
+            this.createInternalLink(summary, await this.core.getLinkText(fromPath), sourcePath);
+            summary.appendText(' to ');
+            this.createInternalLink(summary, await this.core.getLinkText(toPath), sourcePath);
 
-            if (!(await this.validateFileType(fileType))) {
-                await handleError('Invalid fileType', `${fileType}. Must be one of ${validFileTypes.join(', ')}`);
+            if (pathData.distance === null) {
+                summary.appendText(' among the analyzed notes.');
+                return;
             }
 
-            for (const [key, value] of linkData) {
-                const hasOutgoing = value.outgoing.size > 0;
-                const hasIncoming = value.incoming.size > 0;
+            summary.appendText(`: ${pathData.distance} ${pathData.distance === 1 ? 'link' : 'links'}, ${pathData.paths.length} ${pathData.paths.length === 1 ? 'path' : 'paths'}${pathData.paths.length >= MAX_SHORTEST_PATHS ? ' (limit reached)' : ''}`);
 
-                let includeFile = false;
+            const list = containerEl.createEl('ol', { cls: 'ola-paths' });
+            for (const path of pathData.paths) {
+                const item = list.createEl('li');
+                this.createInternalLink(item, await this.core.getLinkText(path[0]), sourcePath);
 
-                await debugLog("Starting data filtering...");
+                for (let step = 1; step < path.length; step++) {
+                    const arrow = linkData.get(path[step - 1]).outgoing.has(path[step]) ? '→' : '←';
+                    item.appendText(' ');
+                    item.createSpan({ cls: 'ola-path-arrow', text: arrow });
+                    item.appendText(' ');
+                    this.createInternalLink(item, await this.core.getLinkText(path[step]), sourcePath);
+                }
+            }
 
-                const fileTypeMapper = {
-                    'all': async () => true,
-                    'noLinks': async () => !hasOutgoing && !hasIncoming,
-                    'onlyOutgoingNoIncoming': async () => hasOutgoing && !hasIncoming,
-                    'onlyIncomingNoOutgoing': async () => !hasOutgoing && hasIncoming,
-                    'bothIncomingAndOutgoing': async () => hasOutgoing && hasIncoming,
-                    'eitherIncomingOrOutgoing': async () => hasOutgoing || hasIncoming
-                };
+            await debugLog('HTML path rendered successfully.');
 
-                await debugLog(`hasOutgoing: ${hasOutgoing}, hasIncoming: ${hasIncoming}`);
+        } catch (error) {
+            await handleError("An error occurred in renderHTMLPath", error);
+        }
+    }
 
-                if (fileTypeMapper.hasOwnProperty(fileType)) {
-                    includeFile = await fileTypeMapper[fileType]();
-                    await debugLog(`Data filtered using fileType: ${fileType}, includeFile: ${includeFile}`);
-                } else {
-                    await debugLog(`Invalid fileType: ${fileType}`);
-                }
 
-                await debugLog("Data filtering completed");
+    // Each rule is a collapsible section, opened when it found issues
+    async renderHTMLLint(containerEl, lintData, sourcePath) {
+        try {
+            await debugLog('Starting to render HTML link health report.');
 
-                if (includeFile) {
-                    await debugLog(`Including file in table: ${key}`);
-                    await stats.updateFilesInTable(1);
-                    await stats.updateOutgoingLinks(Array.from(value.outgoing));
-                    await stats.updateIncomingLinks(Array.from(value.incoming));
-                    await stats.updateUniqueOutgoingLinks(Array.from(value.outgoing));
-                    await stats.updateUniqueIncomingLinks(Array.from(value.incoming));
-                } else {
-                    await debugLog(`Skipping file: ${key}`);
-                    await stats.updateSkippedFiles(1);
-                    linkData.delete(key);
+            const issueCount = Array.from(lintData.values()).reduce((sum, issues) => sum + issues.length, 0);
+            containerEl.createEl('p', { cls: 'ola-lint-summary', text: `${issueCount} ${issueCount === 1 ? 'issue' : 'issues'} found` });
+
+            for (const [rule, issues] of lintData) {
+                const sectionEl = containerEl.createEl('details', { cls: 'ola-lint-rule', attr: issues.length > 0 ? { open: '' } : {} });
+                const summaryEl = sectionEl.createEl('summary');
+                summaryEl.createSpan({ cls: 'ola-lint-title', text: LINT_RULES[rule] });
+                summaryEl.createSpan({ cls: 'ola-lint-count', text: String(issues.length) });
+
+                if (issues.length === 0) {
+                    continue;
+                }
+
+                const listEl = sectionEl.createEl('ul');
+                for (const issue of issues) {
+                    const itemEl = listEl.createEl('li');
+                    this.createInternalLink(itemEl, await this.core.getLinkText(issue.path), sourcePath);
+
+                    // Link targets resolve from the note containing the link, so ambiguous links open the note they point to now
+                    if (issue.link) {
+                        itemEl.appendText(' → ');
+                        this.createInternalLink(itemEl, await this.core.getLinkText(issue.link), issue.path);
+                    }
+
+                    const note = this.core.getLintIssueNote(rule, issue);
+                    if (note) {
+                        itemEl.createSpan({ cls: 'ola-lint-note', text: ` (${note})` });
+                    }
+
+                    const fixes = rule === 'unresolved'
+                        ? [['link', 'Link to…'], ['create', 'Create note']]
+                        : rule === 'ambiguous' ? [['fullPath', 'Use full path…']] : [];
+                    for (const [action, text] of fixes) {
+                        itemEl.createEl('button', { cls: 'ola-fix-button', text }).addEventListener('click', () => this.fixLinkIssue(action, issue));
+                    }
                 }
             }
-            await debugLog("Data after filtering:", JSON.stringify(linkData));
-            return linkData;
+
+            await debugLog('HTML link health report rendered successfully.');
 
         } catch (error) {
-            await handleError("An error occurred during data filtering and deletion", error);
+            await handleError("An error occurred in renderHTMLLint", error);
         }
     }
 
 
-    async sortLinkData(linkData, sortBy, sortOrder) {
-        return Array.from(linkData).sort((a, b) => {
-            let aValue, bValue;
+    async renderHTMLSuggest(containerEl, suggestData, params, sourcePath) {
+        try {
+            await debugLog('Starting to render HTML link suggestions.');
 
-            if (sortBy === 'name') {
-                aValue = a[0];
-                bValue = b[0];
-            } else if (sortBy === 'outgoingCount') {
-                aValue = a[1].outgoing ? a[1].outgoing.size : 0;
-                bValue = b[1].outgoing ? b[1].outgoing.size : 0;
-            } else if (sortBy === 'incomingCount') {
-                aValue = a[1].incoming ? a[1].incoming.size : 0;
-                bValue = b[1].incoming ? b[1].incoming.size : 0;
+            containerEl.createEl('p', { cls: 'ola-suggest-summary', text: `${suggestData.size} ${suggestData.size === 1 ? 'note' : 'notes'} with at most ${params.maxIncoming} incoming ${params.maxIncoming === 1 ? 'link' : 'links'}` });
+
+            for (const [path, { incomingCount, mentions, sharedTags }] of suggestData) {
+                const titleEl = containerEl.createEl('h4', { cls: 'ola-suggest-title' });
+                const { linkText, display } = await this.core.createLinkValue(path, params.showAliases);
+                this.createInternalLink(titleEl, linkText, sourcePath, display);
+                titleEl.appendText(` (${incomingCount} incoming)`);
+
+                if (mentions.length === 0 && sharedTags.length === 0) {
+                    containerEl.createEl('p', { cls: 'ola-suggest-empty', text: 'No suggestions found.' });
+                    continue;
+                }
+
+                if (mentions.length > 0) {
+                    containerEl.createEl('p', { cls: 'ola-suggest-heading', text: 'Unlinked mentions' });
+                    const listEl = containerEl.createEl('ul');
+
+                    for (const mention of mentions) {
+                        const itemEl = listEl.createEl('li');
+                        this.createInternalLink(itemEl, await this.core.getLinkText(mention.path), sourcePath);
+                        itemEl.appendText(`, line ${mention.line}: `);
+                        itemEl.createSpan({ cls: 'ola-suggest-context', text: mention.context });
+                        itemEl.createEl('button', { cls: 'ola-fix-button', text: 'Link it' }).addEventListener('click', () => this.linkMention(mention.path, path, mention));
+                    }
+                }
+
+                if (sharedTags.length > 0) {
+                    containerEl.createEl('p', { cls: 'ola-suggest-heading', text: 'Notes sharing tags' });
+                    const listEl = containerEl.createEl('ul');
+
+                    for (const { path: sharingPath, tags } of sharedTags) {
+                        const itemEl = listEl.createEl('li');
+                        this.createInternalLink(itemEl, await this.core.getLinkText(sharingPath), sourcePath);
+                        itemEl.createSpan({ cls: 'ola-suggest-tags', text: ` ${tags.join(', ')}` });
+                    }
+                }
             }
 
-            const compareValue = sortBy === 'name' ? aValue.localeCompare(bValue) : bValue - aValue;
+            await debugLog('HTML link suggestions rendered successfully.');
 
-            return sortOrder === 'asc' ? -compareValue : compareValue;
-        });
+        } catch (error) {
+            await handleError("An error occurred in renderHTMLSuggest", error);
+        }
     }
 
 
-    // Main function to analyze link data
-    async analyzeLinkData(targetPaths, currentFile, fileType) {
+    async renderHTMLStats(containerEl, stats) {
         try {
-            await debugLog("Starting analyzeLinkData function...");
-
-            const stats = new Stats();
-
-            await this.validateInput(targetPaths, fileType);
-            await debugLog("Input validated");
+            await debugLog('Starting to render HTML stats.');
 
-            const { allFiles, allMarkdownFiles } = await this.getFilesData(stats);
-            await debugLog("Files data obtained");
+            if (!stats || typeof stats !== 'object') {
+                await handleError('Data validation in renderHTMLStats', 'Invalid stats object', false);
+                containerEl.createDiv({ cls: 'ola-message', text: 'Unable to generate statistics due to invalid data.' });
+                return;
+            }
 
-            const { linkData, fileNameMap } = await this.collectData(allMarkdownFiles, currentFile, targetPaths, stats);
-            await debugLog("Data collected");
+            const rows = [
+                [`Total ${stats.totalOutgoingLinks === 1 ? 'outgoing link' : 'outgoing links'}`, stats.totalOutgoingLinks, stats.totalFiles, `${stats.totalFiles === 1 ? 'File' : 'Files'} processed`],
+                [`Total incoming ${stats.totalIncomingLinks === 1 ? 'link' : 'links'}`, stats.totalIncomingLinks, stats.totalDirectories, `${stats.totalDirectories === 1 ? 'directory' : 'directories'} processed`],
+                [`Unique outgoing ${stats.totalUniqueOutgoingLinks.size === 1 ? 'link' : 'links'}`, stats.totalUniqueOutgoingLinks.size, stats.skippedFiles, `${stats.skippedFiles === 1 ? 'File' : 'Files'} skipped`],
+                [`Unique incoming ${stats.totalUniqueIncomingLinks.size === 1 ? 'link' : 'links'}`, stats.totalUniqueIncomingLinks.size, stats.filesInTable, `${stats.filesInTable === 1 ? 'File' : 'Files'} in Table`],
+                [`Unresolved ${stats.totalUnresolvedLinks === 1 ? 'link' : 'links'}`, stats.totalUnresolvedLinks, '', '']
+            ];
 
-            const analyzedData = await this.analyzeData(linkData, stats, fileNameMap);
-            await debugLog("Markdown files processed");
+            const table = containerEl.createEl('table', { cls: 'stats-table' });
+            table.createEl('thead').createEl('tr').createEl('th', { text: 'Statistics', attr: { colspan: 4 } });
 
-            const filteredData = await this.filterData(analyzedData, stats, fileType);
-            await debugLog("Data filtered");
+            const body = table.createEl('tbody');
+            for (const cells of rows) {
+                const row = body.createEl('tr');
+                cells.forEach(cell => row.createEl('td', { text: String(cell) }));
+            }
 
-            await this.validateOutput(filteredData, stats);
-            await debugLog("Output validated");
+            table.createEl('tfoot').createEl('tr').createEl('td', { text: `Execution time: ${stats.executionTime} sec`, attr: { colspan: 4 } });
 
-            await debugLog("analyzeLinkData function completed successfully");
-            return { linkData: filteredData, stats };
+            await debugLog('Successfully rendered statistics HTML.');
 
         } catch (error) {
-            await handleError("An error occurred in analyzeLinkData function", error);
+            await handleError('Failed to render statistics HTML', error);
         }
     }
 
@@ -891,263 +6097,233 @@ class LinkAnalyzer extends Plugin {
 
 
 
+    // * Exporting results
 
-    // * Generating and outputting results
-
-    async prepareTableData(linkData, sortBy, sortOrder, excludeCol) {
+    // Exports the notes analyzed with the parameters of the code block at the cursor, or the default parameters
+    // 'mode: clusters' exports the notes of the listed clusters with their cluster number; modes whose results are not
+    // a set of notes, such as 'unresolved' or 'path', are reported instead of exporting something else
+    async exportLinkData(format) {
         try {
-            await debugLog('Starting data preparation for table.')
+            await debugLog(`Starting ${format} export`);
 
-            if (!(await this.validateLinkData(linkData))) {
-                await handleError('prepareTableData', 'Invalid linkData');
-            }
+            const currentFile = this.app.workspace.getActiveFile();
+            const editor = this.app.workspace.getActiveViewOfType(MarkdownView)?.editor;
+            const source = editor ? await this.getCodeBlockSourceAtCursor(editor) : null;
 
-            if (!(await this.validateSort(sortBy))) {
-                await handleError('prepareTableData', 'Invalid sortBy value');
-            }
+            const diagnostics = new Diagnostics();
+            const params = await this.core.parseParams(source ?? '', diagnostics);
+            await this.core.validateParams(params, diagnostics);
 
-            if (!(await this.validateSortOrder(sortOrder))) {
-                await handleError('prepareTableData', 'Invalid sortOrder value');
+            if (!diagnostics.hasProblems() && !EXPORTABLE_MODES.includes(params.mode)) {
+                new Notice(`Link Analyzer: 'mode: ${params.mode}' cannot be exported. Export a block with 'mode: ${EXPORTABLE_MODES.join("' or 'mode: ")}'.`);
+                return;
             }
 
-            if (!(await this.validateExcludeCol(excludeCol))) {
-                await handleError('prepareTableData', 'Invalid excludeCol value');
-            }
+            const startTime = Date.now();
+            const analysis = diagnostics.hasProblems() ? null : await this.core.runAnalysis(params, currentFile, diagnostics);
 
-            await debugLog('linkData, sortBy, excludeCol validated successfully.');
+            if (!analysis) {
+                const problems = diagnostics.getSortedProblems().map(problem => problem.message);
+                new Notice(`Link Analyzer: export cancelled, invalid parameters:\n${problems.join('\n')}`);
+                return;
+            }
 
-            // Define all possible columns
-            const allColumns = ['index', 'name', 'outgoingCount', 'incomingCount', 'outgoing', 'incoming'];
+            const { linkData, stats } = analysis;
+            stats.executionTime = (Date.now() - startTime) / 1000;
 
-            // Exclude columns if needed
-            const columns = excludeCol && excludeCol.length > 0 ?
-                allColumns.filter(col => !excludeCol.includes(col)) :
-                [...allColumns];
-            await debugLog('Columns determined.');
+            const sortedData = await this.core.prepareExportData(linkData, params);
 
-            // Define display names for each column
-            const columnDisplayNames = {
-                index: '#',
-                name: '📄',
-                outgoingCount: '🔗👉',
-                incomingCount: '🔗👈',
-                outgoing: '📄👉 out',
-                incoming: '📄👈 in'
+            const generators = {
+                csv: () => this.core.generateCSV(sortedData),
+                json: () => this.core.generateJSON(sortedData, stats),
+                graphml: () => this.core.generateGraphML(sortedData, stats),
+                dot: () => this.core.generateDOT(sortedData, stats)
             };
+            const content = await generators[format]();
 
-            // Sort the linkData
-            const sortedData = await this.sortLinkData(linkData, sortBy, sortOrder);
-
-            await debugLog('Data sorted.');
+            const file = await this.writeExportFile(format, content);
+            new Notice(`Link Analyzer: exported ${sortedData.size} ${sortedData.size === 1 ? 'note' : 'notes'} to ${file.path}`);
+            await debugLog(`Export written to ${file.path}`);
 
-            const tableData = [];
-            let index = 1;
+        } catch (error) {
+            await handleError(`An error occurred while exporting ${format}`, error, false);
+            new Notice(`Link Analyzer: export failed: ${error.message}`);
+        }
+    }
 
-            for (const [fileName, links] of sortedData) {
-                let incomingLinks = [];
-                let outgoingLinks = [];
 
-                if (Array.isArray(links.incoming) || links.incoming instanceof Set) {
-                    incomingLinks = Array.from(links.incoming).map((link, i) => `${i + 1}. [[${link}]]`).join(",<br>");
-                }
+    // Returns the parameters of the link-analyzer block the cursor is in, or null outside of one
+    async getCodeBlockSourceAtCursor(editor) {
+        const cursorLine = editor.getCursor().line;
 
-                if (Array.isArray(links.outgoing) || links.outgoing instanceof Set) {
-                    outgoingLinks = Array.from(links.outgoing).map((link, i) => `${i + 1}. [[${link}]]`).join(",<br>");
-                }
+        let start = cursorLine;
+        while (start >= 0 && !/^\s*(```|~~~)/.test(editor.getLine(start))) {
+            start--;
+        }
 
-                const rowData = {
-                    index,
-                    name: `[[${fileName}]]`,
-                    outgoingCount: links.outgoing.size,
-                    incomingCount: links.incoming.size,
-                    outgoing: outgoingLinks,
-                    incoming: incomingLinks
-                };
+        if (start < 0 || !/^\s*(```|~~~)\s*link-analyzer\s*$/.test(editor.getLine(start))) {
+            return null;
+        }
 
-                tableData.push(rowData);
-                index++;
+        const lines = [];
+        for (let i = start + 1; i < editor.lineCount(); i++) {
+            const line = editor.getLine(i);
+            if (/^\s*(```|~~~)/.test(line)) {
+                return i >= cursorLine ? lines.join('\n') : null;
             }
+            lines.push(line);
+        }
 
-            await debugLog('Table data prepared.');
-            return { tableData, columns, columnDisplayNames };
+        return null;
+    }
 
-        } catch (error) {
-            await handleError('An error occurred in prepareTableData', error);
+
+    async writeExportFile(format, content) {
+        const folder = normalizePath(this.settings.exportFolder || DEFAULT_SETTINGS.exportFolder);
+        if (!this.app.vault.getAbstractFileByPath(folder)) {
+            await this.app.vault.createFolder(folder);
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const path = normalizePath(`${folder}/link-analysis-${timestamp}.${format}`);
+
+        const existingFile = this.app.vault.getAbstractFileByPath(path);
+        if (existingFile instanceof TFile) {
+            await this.app.vault.modify(existingFile, content);
+            return existingFile;
         }
+
+        return await this.app.vault.create(path, content);
     }
 
 
-    async generateMarkdownTable(preparedData) {
-        try {
-            await debugLog('Starting to generate Markdown table.');
 
-            if (!preparedData) {
-                await handleError('generateMarkdownTable', 'Prepared data is undefined', false);
-                return 'Unable to generate table due to missing prepared data.';
 
-            }
-            await debugLog('Prepared data is available.');
 
-            const { tableData, columns, columnDisplayNames } = preparedData;
 
-            let tableContent = [];
 
-            tableContent.push(`| ${columns.map(col => columnDisplayNames[col] || col).join(' | ')} |`);
-            await debugLog('Table headers added.');
 
-            tableContent.push(`| ${columns.map(() => '---').join(' | ')} |`);
-            await debugLog('Table separators added.');
 
-            for (const rowData of tableData) {
-                let row = `| ${columns.map(col => rowData[col]).join(' | ')} |`;
-                tableContent.push(row);
-            }
 
-            await debugLog('Markdown table generated successfully.');
-            return '\n' + tableContent.join('\n') + '\n';
+    // * Fixing links
+
+    // Plans the fix chosen for one lint issue and shows it for review: 'link' and 'create' for unresolved links,
+    // 'fullPath' for ambiguous ones
+    async fixLinkIssue(action, { path, link }) {
+        try {
+            const planRewrite = async (file, fullPath) => {
+                const change = await this.core.planLinkRewrites(path, new Map([[link, { file, fullPath }]]));
+                await this.previewLinkFixes(change ? [change] : []);
+            };
+
+            if (action === 'create') {
+                const change = await this.core.planNoteCreation(link, path);
+                await this.previewLinkFixes(change ? [change] : []);
+            } else if (action === 'link') {
+                new NoteSuggestModal(this.app, file => planRewrite(file, false), `Link '${link}' to`, this.core.rankLinkTargets(link)).open();
+            } else if (action === 'fullPath') {
+                // The note the link resolves to now comes first, then the others sharing its name
+                const currentTarget = this.app.metadataCache.getFirstLinkpathDest(link, path);
+                const name = link.replace(/\.md$/i, '').toLowerCase();
+                const candidates = this.app.vault.getMarkdownFiles()
+                    .filter(file => file.basename.toLowerCase() === name)
+                    .sort((a, b) => (b === currentTarget) - (a === currentTarget) || a.path.localeCompare(b.path));
+
+                new NoteSuggestModal(this.app, file => planRewrite(file, true), `Pick the note '${link}' should link to`, candidates).open();
+            }
 
         } catch (error) {
-            await handleError("An error occurred in generateMarkdownTable", error, false);
-            return 'An error occurred while generating the table. Please try again.';
+            await handleError('An error occurred while fixing a link', error, false);
         }
     }
 
 
-    async generateHTMLTable(preparedData) {
+    // The "Link it" action of 'mode: suggest': turns a mention of a note into a link to it, after review
+    async linkMention(sourcePath, targetPath, mention) {
         try {
-            await debugLog('Starting to generate HTML table.');
-
-            if (!preparedData) {
-                await handleError('generateHTMLTable', 'Prepared data is undefined');
+            const change = await this.core.planMentionLink(sourcePath, targetPath, mention);
+            if (!change) {
+                new Notice(`Link Analyzer: ${sourcePath} changed since the suggestions were made. Refresh them and try again.`);
+                return;
             }
 
-            const { tableData, columns, columnDisplayNames } = preparedData;
-            await debugLog('Prepared data is available.');
+            await this.previewLinkFixes([change]);
 
+        } catch (error) {
+            await handleError('An error occurred while linking a mention', error, false);
+        }
+    }
 
-            let tableHTML = ['<table class="ola-view-table">'];
-
-            tableHTML.push('<thead><tr>');
-            for (const col of columns) {
-                tableHTML.push(`<th class="ola-view-table">${columnDisplayNames[col] || col}</th>`);
-            }
-            tableHTML.push('</tr></thead>');
 
-            tableHTML.push('<tbody>');
-            for (const rowData of tableData) {
-                tableHTML.push('<tr>');
-                for (const col of columns) {
-                    let cellData = rowData[col];
-                    if (typeof cellData === 'string') {
-                        cellData = cellData.replace(/\[\[([^\]]+)\]\]/g, function (match, p1) {
-                            return `<a data-href="${p1}" href="${p1}" class="internal-link" target="_blank" rel="noopener">${p1}</a>`;
-                        });
-                    }
-                    tableHTML.push(`<td class="${col}">${cellData}</td>`);
-                }
-                tableHTML.push('</tr>');
+    // Plans fixes for every ambiguous link within the default parameters and shows them for review, with the
+    // unresolved links listed as left alone
+    async fixAllLinks() {
+        try {
+            const diagnostics = new Diagnostics();
+            const params = await this.core.parseParams('mode: lint\nlintRules: unresolved, ambiguous', diagnostics);
+            const analysis = await this.core.validateParams(params, diagnostics)
+                ? await this.core.runAnalysis(params, null, diagnostics)
+                : null;
+
+            if (!analysis) {
+                new Notice(`Link Analyzer: ${diagnostics.getSortedProblems().map(problem => problem.message).join(' ')}`);
+                return;
             }
-            tableHTML.push('</tbody></table>');
 
-            await debugLog('HTML table generated successfully.');
-            return tableHTML.join('');
+            const lintData = await this.core.lintLinkData(analysis.linkData, analysis.fileNameMap, params);
+            const { changes, skipped } = await this.core.planLinkFixes(lintData);
+            await this.previewLinkFixes(changes, skipped);
 
         } catch (error) {
-            await handleError("An error occurred in generateHTMLTable", error);
+            await handleError('An error occurred while fixing links', error, false);
         }
     }
 
 
-    async generateMarkdownStats(stats) {
-        try {
-            await debugLog('Starting to generate Markdown stats.');
+    async previewLinkFixes(changes, skipped = []) {
+        if (changes.length === 0) {
+            new Notice(`Link Analyzer: No links to fix${skipped.length > 0 ? `, ${skipped.length} unresolved left to fix one by one` : ''}.`);
+            return;
+        }
 
-            if (!stats || typeof stats !== 'object') {
-                await handleError('Data validation in generateMarkdownStats', 'Invalid stats object', false);
-                return 'Unable to generate statistics due to invalid data.';
-            }
+        new LinkFixModal(this.app, changes, skipped, selectedChanges => this.applyLinkFixes(selectedChanges)).open();
+    }
 
-            await debugLog('Generating statistics string...');
 
-            const statsString = `**Statistics**
-    - Execution time: **${stats.executionTime}** sec
-    - Processed ${stats.totalFiles === 1 ? 'file' : 'files'}: **${stats.totalFiles}**
-    - Processed ${stats.totalDirectories === 1 ? 'directory' : 'directories'}: **${stats.totalDirectories}**
-    - ${stats.filesInTable === 1 ? 'File' : 'Files'} in table: **${stats.filesInTable}**
-    - Total outgoing ${stats.totalOutgoingLinks === 1 ? 'link' : 'links'}: **${stats.totalOutgoingLinks}**
-    - Total incoming ${stats.totalIncomingLinks === 1 ? 'link' : 'links'}: **${stats.totalIncomingLinks}**
-    - Unique outgoing ${stats.totalUniqueOutgoingLinks.size === 1 ? 'link' : 'links'}: **${stats.totalUniqueOutgoingLinks.size}**
-    - Unique incoming ${stats.totalUniqueIncomingLinks.size === 1 ? 'link' : 'links'}: **${stats.totalUniqueIncomingLinks.size}**
-    - Skipped ${stats.skippedFiles === 1 ? 'file' : 'files'}: **${stats.skippedFiles}**
-    `;
+    // The applied changes are kept as one batch, so "Undo Last Link Fixes" reverts them together
+    async applyLinkFixes(changes) {
+        try {
+            const appliedChanges = await this.core.applyLinkFixes(changes);
+            if (appliedChanges.length > 0) {
+                this.lastLinkFixes = appliedChanges;
+            }
 
-            await debugLog('Successfully generated statistics string.');
-            return statsString;
+            const failedCount = changes.length - appliedChanges.length;
+            new Notice(`Link Analyzer: Changed ${appliedChanges.length} ${appliedChanges.length === 1 ? 'note' : 'notes'}`
+                + `${failedCount > 0 ? `, ${failedCount} could not be changed` : ''}. Run "Undo Last Link Fixes" to revert.`);
 
         } catch (error) {
-            await handleError('Failed to generate statistics string', error);
-            return 'An error occurred while generating statistics. Please try again.';
+            await handleError('An error occurred while applying link fixes', error, false);
         }
     }
 
 
-    async generateHTMLStats(stats) {
+    async undoLinkFixes() {
         try {
-            await debugLog('Starting to generate HTML stats.');
-
-            if (!stats || typeof stats !== 'object') {
-                await handleError('Data validation in generateHTMLStats', 'Invalid stats object', false);
-                return 'Unable to generate statistics due to invalid data.';
+            if (!this.lastLinkFixes) {
+                new Notice('Link Analyzer: No link fixes to undo.');
+                return;
             }
 
-            await debugLog('Generating statistics HTML...');
+            const keptPaths = await this.core.revertLinkFixes(this.lastLinkFixes);
+            this.lastLinkFixes = null;
 
-            let html = `
-        <table class="stats-table">
-            <thead>
-                <tr>
-                    <th colspan="4">Statistics</th>
-                </tr>
-            </thead>
-            <tbody>
-                <tr>
-                    <td>Total ${stats.totalOutgoingLinks === 1 ? 'outgoing link' : 'outgoing links'}</td>
-                    <td>${stats.totalOutgoingLinks}</td>
-                    <td>${stats.totalFiles}</td>
-                    <td>${stats.totalFiles === 1 ? 'File' : 'Files'} processed</td>
-                </tr>
-                <tr>
-                    <td>Total incoming ${stats.totalIncomingLinks === 1 ? 'link' : 'links'}</td>
-                    <td>${stats.totalIncomingLinks}</td>
-                    <td>${stats.totalDirectories}</td>
-                    <td>${stats.totalDirectories === 1 ? 'directory' : 'directories'} processed</td>
-                </tr>
-                <tr>
-                    <td>Unique outgoing ${stats.totalUniqueOutgoingLinks.size === 1 ? 'link' : 'links'}</td>
-                    <td>${stats.totalUniqueOutgoingLinks.size}</td>
-                    <td>${stats.skippedFiles}</td>
-                    <td>${stats.skippedFiles === 1 ? 'File' : 'Files'} skipped</td>
-                </tr>
-                <tr>
-                    <td>Unique incoming ${stats.totalUniqueIncomingLinks.size === 1 ? 'link' : 'links'}</td>
-                    <td>${stats.totalUniqueIncomingLinks.size}</td>
-                    <td>${stats.filesInTable}</td>
-                    <td>${stats.filesInTable === 1 ? 'File' : 'Files'} in Table</td>
-                </tr>
-            </tbody>
-            <tfoot>
-                <tr>
-                    <td colspan="4">Execution time: ${stats.executionTime} sec</td>
-                </tr>
-            </tfoot>
-        </table>
-        `;
-
-            await debugLog('Successfully generated statistics HTML.');
-            return html;
+            new Notice(keptPaths.length > 0
+                ? `Link Analyzer: Link fixes undone, except in notes changed since: ${keptPaths.join(', ')}`
+                : 'Link Analyzer: Link fixes undone.');
 
         } catch (error) {
-            await handleError('Failed to generate statistics HTML', error);
+            await handleError('An error occurred while undoing link fixes', error, false);
         }
     }
 
@@ -1160,95 +6336,246 @@ class LinkAnalyzer extends Plugin {
 
 
 
-
     // * Event registration and processing
 
     async registerCodeBlock() {
-        this.registerMarkdownCodeBlockProcessor("link-analyzer", debounce(async (source, el, ctx) => {
+        this.registerMarkdownCodeBlockProcessor("link-analyzer", async (source, el, ctx) => {
             try {
                 await debugLog("Starting code block processing for link-analyzer");
 
-                const params = await this.parseParams(source);
+                const diagnostics = new Diagnostics();
+                const params = await this.core.parseParams(source, diagnostics);
                 if (!params) {
                     await handleError('registerCodeBlock', 'Failed to parse parameters', false);
                     return;
                 }
 
-                await this.analyzeLinks(params, el);
+                await this.core.validateParams(params, diagnostics);
+                if (diagnostics.hasProblems()) {
+                    await this.renderDiagnostics(el, diagnostics);
+                    return;
+                }
+
+                const renderChild = new LinkAnalyzerRenderChild(this, el, params, ctx.sourcePath);
+                ctx.addChild(renderChild);
+                await renderChild.render();
                 await debugLog("Successfully processed code block for link-analyzer");
 
             } catch (error) {
                 await handleError('An error occurred in registerCodeBlock', error);
             }
-        }, 2000));
+        });
+    }
+
+
+    async renderDiagnostics(el, diagnostics) {
+        const problems = diagnostics.getSortedProblems();
+        el.empty();
+
+        const panelEl = el.createDiv({ cls: 'ola-diagnostics' });
+        panelEl.createDiv({ cls: 'ola-diagnostics-title', text: `Link Analyzer: ${problems.length} ${problems.length === 1 ? 'problem' : 'problems'} with the parameters` });
+
+        const listEl = panelEl.createEl('ul');
+        for (const { line, key, message, allowed } of problems) {
+            const itemEl = listEl.createEl('li');
+
+            if (line !== null) {
+                itemEl.createSpan({ cls: 'ola-diagnostics-line', text: `Line ${line}` });
+            }
+            if (key) {
+                itemEl.createEl('code', { text: key });
+            }
+            itemEl.createSpan({ text: message });
+
+            if (allowed && allowed.length > 0) {
+                const allowedEl = itemEl.createDiv({ cls: 'ola-diagnostics-allowed', text: 'Allowed: ' });
+                allowed.forEach((value, i) => {
+                    allowedEl.createEl('code', { text: value });
+                    if (i < allowed.length - 1) allowedEl.appendText(', ');
+                });
+            }
+        }
+
+        await debugLog(`Rendered ${problems.length} diagnostics`);
+    }
+
+
+    async registerVaultEvents() {
+        const { vault, metadataCache } = this.app;
+
+        // Metadata changes only mark blocks stale; they are re-rendered once link resolution has caught up
+        this.registerEvent(metadataCache.on('changed', file => {
+            this.linkIndex.delete(file.path);
+            this.markCodeBlocksStale([file.path]);
+        }));
+        this.registerEvent(metadataCache.on('resolved', () => {
+            this.core.clearBacklinks();
+            this.refreshCodeBlocks();
+        }));
+
+        this.registerEvent(vault.on('create', file => this.refreshCodeBlocks([file.path])));
+        this.registerEvent(vault.on('delete', file => {
+            this.core.clearBacklinks();
+            this.refreshCodeBlocks([file.path]);
+        }));
+        this.registerEvent(vault.on('rename', (file, oldPath) => {
+            this.core.clearBacklinks();
+            this.refreshCodeBlocks([file.path, oldPath]);
+        }));
+
+        await debugLog('Vault events registered');
+    }
+
+
+    markCodeBlocksStale(changedPaths) {
+        for (const codeBlock of this.codeBlocks) {
+            if (changedPaths.some(path => codeBlock.isPathInScope(path))) {
+                codeBlock.isStale = true;
+            }
+        }
+    }
+
+
+    // Without changedPaths only blocks already marked stale are re-rendered
+    refreshCodeBlocks(changedPaths = null) {
+        if (changedPaths) {
+            this.markCodeBlocksStale(changedPaths);
+        }
+
+        for (const codeBlock of this.codeBlocks) {
+            if (codeBlock.isStale) {
+                codeBlock.requestRender();
+            }
+        }
     }
 
 
-    async analyzeLinks(customParams = {}, el = null) {
+    // Code blocks pass their render child, which keeps what outlives one render: the running graph layout and the
+    // sorting, filter and page of the tables
+    async analyzeLinks(customParams = {}, el = null, sourcePath = null, renderChild = null) {
+        let editor = null;
+        let cursorPosition = null;
+        let line = '';
+
         try {
             let startTime = Date.now();
 
-            // Validate active file and editor
-            const currentFile = this.app.workspace.getActiveFile();
-            const editor = this.app.workspace.getActiveViewOfType(MarkdownView)?.editor;
-            await debugLog('Current active file and editor obtained.');
-            if (!currentFile || !editor) {
-                console.warn("No active file or editor found.");
-                return;
+            let currentFile = null;
+            if (el) {
+                // Code blocks analyze relative to the note they live in and render without an editor
+                const sourceFile = sourcePath ? this.app.vault.getAbstractFileByPath(sourcePath) : null;
+                currentFile = sourceFile instanceof TFile ? sourceFile : null;
+                await debugLog(`Code block source file obtained: ${sourcePath}`);
+            } else {
+                // Validate active file and editor
+                currentFile = this.app.workspace.getActiveFile();
+                editor = this.app.workspace.getActiveViewOfType(MarkdownView)?.editor;
+                if (!currentFile || !editor) {
+                    console.warn("No active file or editor found.");
+                    return;
+                }
+                await debugLog('Current active file and editor obtained.');
+
+                cursorPosition = editor.getCursor();
+                line = editor.getLine(cursorPosition.line);
             }
-            await debugLog('Current active file and editor obtained.');
 
             // Parsing and validating parameters
-            const cursorPosition = editor.getCursor();
-            const line = editor.getLine(cursorPosition.line);
-            const defaultParams = await this.parseParams(line);
-            if (!defaultParams || !(await this.validateParams(defaultParams))) {
-                console.warn("Invalid parameters.");
+            const defaultParams = await this.core.parseParams(line);
+            const params = { ...defaultParams, ...customParams };
+
+            const diagnostics = new Diagnostics();
+            const isParamsValid = await this.core.validateParams(params, diagnostics);
+
+            if (params.output === 'graph' && !el) {
+                await diagnostics.add({ key: 'output', message: "'output: graph' can only be rendered in a code block." });
+            }
+
+            const analysis = isParamsValid
+                ? await this.core.runAnalysis(params, currentFile, diagnostics)
+                : null;
+
+            if (!analysis) {
+                if (el) {
+                    await this.renderDiagnostics(el, diagnostics);
+                } else {
+                    editor.replaceRange(await this.core.generateMarkdownDiagnostics(diagnostics), { line: cursorPosition.line, ch: 0 }, { line: cursorPosition.line, ch: line.length });
+                }
                 return;
             }
-            const params = { ...defaultParams, ...customParams };
             await debugLog(`Parameters parsed and validated - ${JSON.stringify(params)}`);
 
-            // Fetch link data based on parsed parameters
-            const { linkData, stats } = await this.analyzeLinkData(params.paths, currentFile, params.fileType);
-            if (!linkData || !stats || !(await this.validateStatsFields(stats))) {
-                await debugLog("Invalid link data or stats.");
-                throw new Error("Stats fields are invalid");
-            }
+            const { linkData, stats, fileNameMap, pathEnds, neighborhood } = analysis;
             await debugLog(`Link data and stats obtained - ${JSON.stringify(stats)}`);
 
-            // Prepare data for table generation
-            const preparedData = await this.prepareTableData(linkData, params.sort, params.sortOrder, params.excludeCol);
-            await debugLog(`Prepared data for table generation - ${JSON.stringify(preparedData)}`);
+            const getTableState = key => renderChild ? renderChild.getTableState(key) : {};
+
+            // Code blocks render into their element once the statistics are known, the editor commands insert Markdown
+            let table = null;
+            let renderOutput = null;
+            if (!el) {
+                table = await this.core.generateMarkdownOutput(params, analysis);
+            } else if (params.output === 'graph') {
+                renderOutput = async containerEl => {
+                    const graph = new LinkGraphRenderer(this, containerEl.createDiv({ cls: 'ola-graph' }), linkData, sourcePath);
+                    renderChild?.setGraph(graph);
+                    graph.render();
+                };
+            } else if (params.mode === 'path') {
+                const pathData = await this.core.computeShortestPaths(linkData, pathEnds.from.path, pathEnds.to.path, params.undirected);
+                renderOutput = async containerEl => this.renderHTMLPath(containerEl, linkData, pathData, pathEnds.from.path, pathEnds.to.path, sourcePath);
+            } else if (params.mode === 'table' && neighborhood) {
+                const sections = await this.core.prepareNeighborhoodTableData(linkData, neighborhood, params);
+                renderOutput = async containerEl => this.renderHTMLNeighborhood(containerEl, sections, params, sourcePath, getTableState);
+            } else if (params.mode === 'clusters') {
+                const clusterData = await this.core.computeClusters(linkData, params.clusterBy, params.minClusterSize);
+                renderOutput = async containerEl => this.renderHTMLClusters(containerEl, linkData, clusterData, params, sourcePath, getTableState);
+            } else if (params.mode === 'lint') {
+                const lintData = await this.core.lintLinkData(linkData, fileNameMap, params);
+                renderOutput = async containerEl => this.renderHTMLLint(containerEl, lintData, sourcePath);
+            } else if (params.mode === 'suggest') {
+                const suggestData = await this.core.suggestLinks(linkData, params);
+                renderOutput = async containerEl => this.renderHTMLSuggest(containerEl, suggestData, params, sourcePath);
+            } else {
+                // Prepare data for table generation
+                const preparedData = params.mode === 'unresolved'
+                    ? await this.core.prepareUnresolvedTableData(await this.core.collectUnresolvedData(linkData), params.sort, params.sortOrder)
+                    : await this.core.prepareTableData(linkData, params.sort, params.sortOrder, params.excludeCol, params.col, params.showAliases);
+                await debugLog(`Prepared data for table generation - ${JSON.stringify(preparedData)}`);
+
+                // Code blocks get an interactive table
+                if (preparedData) {
+                    renderOutput = async containerEl => new InteractiveTable(this, containerEl.createDiv({ cls: 'ola-table' }), preparedData, params.pageSize, sourcePath, getTableState(params.mode)).render();
+                }
+            }
 
             // Check for data and el
-            if (!preparedData) {
+            if (table === null && renderOutput === null) {
                 await debugLog("No data available with the given parameters.");
                 if (el) {
-                    el.innerHTML = "<center>No data available with the given parameters.</center>";
+                    el.empty();
+                    el.createDiv({ cls: 'ola-message', text: 'No data available with the given parameters.' });
                 } else {
                     editor.replaceRange("<center>No data available with the given parameters.</center>\n", { line: cursorPosition.line, ch: 0 }, { line: cursorPosition.line, ch: line.length });
                     editor.setCursor({ line: cursorPosition.line + 1, ch: 0 });
                 }
                 return;
             }
-
-            // Generating the table based on the output format
-            const table = el ? await this.generateHTMLTable(preparedData) : await this.generateMarkdownTable(preparedData);
             await debugLog('Table generated.');
 
             // Calculating execution time
             stats.executionTime = (Date.now() - startTime) / 1000;
             await debugLog(`Execution time calculated - ${stats.executionTime}s`);
 
-            // Generating statistics based on the output format
-            const methodToUse = el ? await this.generateHTMLStats : await this.generateMarkdownStats;
-            const statsString = params.showStats ? await methodToUse(stats) : '';
-
             // Outputting the table and statistics
             if (el) {
-                el.innerHTML = table + statsString;
+                el.empty();
+                await renderOutput(el);
+                if (params.showStats) {
+                    await this.renderHTMLStats(el, stats);
+                }
             } else {
+                const statsString = params.showStats ? await this.core.generateMarkdownStats(stats) : '';
                 editor.replaceRange(table + statsString, { line: cursorPosition.line, ch: 0 }, { line: cursorPosition.line, ch: line.length });
             }
 
@@ -1260,12 +6587,14 @@ class LinkAnalyzer extends Plugin {
     Total incoming ${stats.totalIncomingLinks === 1 ? 'link' : 'links'}: ${stats.totalIncomingLinks}
     Unique outgoing ${stats.totalUniqueOutgoingLinks.size === 1 ? 'link' : 'links'}: ${stats.totalUniqueOutgoingLinks.size}
     Unique incoming ${stats.totalUniqueIncomingLinks.size === 1 ? 'link' : 'links'}: ${stats.totalUniqueIncomingLinks.size}
+    Unresolved ${stats.totalUnresolvedLinks === 1 ? 'link' : 'links'}: ${stats.totalUnresolvedLinks}
     Skipped ${stats.skippedFiles === 1 ? 'file' : 'files'}: ${stats.skippedFiles}`);
 
         } catch (error) {
             await handleError('An error occurred', error, false);
             if (el) {
-                el.innerHTML = "An error occurred: " + error.message;
+                el.empty();
+                el.createDiv({ cls: 'ola-message', text: `An error occurred: ${error.message}` });
             } else {
                 editor.replaceRange("An error occurred: " + error.message + "\n", { line: cursorPosition.line, ch: 0 }, { line: cursorPosition.line, ch: line.length });
                 editor.setCursor({ line: cursorPosition.line + 1, ch: 0 });
@@ -1275,3 +6604,9 @@ class LinkAnalyzer extends Plugin {
 }
 
 module.exports = LinkAnalyzer;
+module.exports.LinkAnalysisCore = LinkAnalysisCore;
+module.exports.LinkIndex = LinkIndex;
+module.exports.Diagnostics = Diagnostics;
+module.exports.Stats = Stats;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+module.exports.EXPORTABLE_MODES = EXPORTABLE_MODES;
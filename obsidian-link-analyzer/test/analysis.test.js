@@ -0,0 +1,227 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCore, analyze, generateMarkdown, createPlugin, FakeElement } = require('./helpers');
+
+// A vault with every kind of note: linked both ways, only linking, only linked, and not linked at all
+const LINK_KINDS_VAULT = {
+    'Both.md': '[[Linked]]',
+    'Linking.md': '[[Both]]',
+    'Linked.md': '',
+    'Alone.md': 'No links here.'
+};
+
+const notesOf = linkData => Array.from(linkData.keys()).sort();
+
+test('every fileType lists the notes with its kind of links', async () => {
+    const core = createCore(LINK_KINDS_VAULT);
+    const expected = {
+        all: ['Alone.md', 'Both.md', 'Linked.md', 'Linking.md'],
+        noLinks: ['Alone.md'],
+        onlyOutgoingNoIncoming: ['Linking.md'],
+        onlyIncomingNoOutgoing: ['Linked.md'],
+        bothIncomingAndOutgoing: ['Both.md'],
+        eitherIncomingOrOutgoing: ['Both.md', 'Linked.md', 'Linking.md']
+    };
+
+    for (const [fileType, notes] of Object.entries(expected)) {
+        const { linkData } = await analyze(core, `fileType: ${fileType}`);
+        assert.deepEqual(notesOf(linkData), notes, fileType);
+    }
+});
+
+test('an unknown fileType is reported with the allowed values', async () => {
+    const core = createCore(LINK_KINDS_VAULT);
+    await assert.rejects(analyze(core, 'fileType: linked'), /Invalid value for 'fileType': linked/);
+});
+
+test('links to notes sharing a name resolve to the closest one and are told apart by path', async () => {
+    const core = createCore({
+        'Projects/Note.md': '[[Note]]',
+        'Projects/Source.md': '[[Note]]',
+        'Archive/Note.md': '',
+        'Root.md': '[[Archive/Note]]'
+    });
+
+    const { linkData } = await analyze(core, 'fileType: all');
+    assert.deepEqual(Array.from(linkData.get('Projects/Source.md').outgoing), ['Projects/Note.md']);
+    assert.deepEqual(Array.from(linkData.get('Archive/Note.md').incoming), ['Root.md']);
+
+    // Each note gets a link text that resolves back to it from the vault root
+    const table = await generateMarkdown(core, 'fileType: all\ncol: name');
+    const linkTexts = Array.from(table.matchAll(/\[\[([^\]]+)\]\]/g), match => match[1]).sort();
+    assert.deepEqual(linkTexts, ['Note', 'Projects/Note', 'Root', 'Source']);
+    assert.equal(core.app.metadataCache.getFirstLinkpathDest('Note', '').path, 'Archive/Note.md');
+});
+
+test('notes in excluded folders and in excluded paths are not analyzed', async () => {
+    const files = {
+        'Notes/Kept.md': '[[Templates/Daily]] [[Notes/Old/Gone]]',
+        'Notes/Old/Gone.md': '[[Notes/Kept]]',
+        'Templates/Daily.md': '[[Notes/Kept]]'
+    };
+
+    const core = createCore(files, { excludeFolders: ['Templates'] });
+    assert.deepEqual(notesOf((await analyze(core, 'fileType: all')).linkData), ['Notes/Kept.md', 'Notes/Old/Gone.md']);
+    assert.deepEqual(notesOf((await analyze(core, 'paths: Notes/, -Notes/Old/\nfileType: all')).linkData), ['Notes/Kept.md']);
+
+    // Listing an excluded folder in 'paths' analyzes it anyway
+    assert.deepEqual(notesOf((await analyze(core, 'paths: Templates/\nfileType: all')).linkData), ['Templates/Daily.md']);
+});
+
+test('sorting orders the notes by the column and reverses with sortOrder', async () => {
+    const core = createCore({
+        'A.md': '[[C]]',
+        'B.md': '[[C]] [[A]]',
+        'C.md': ''
+    });
+
+    const sortedNotes = async source => (await core.prepareTableData(
+        (await analyze(core, `fileType: all\n${source}`)).linkData,
+        ...['sort', 'sortOrder'].map(key => source.match(new RegExp(`${key}: (\\w+)`))[1]),
+        []
+    )).tableData.map(row => row.name.linkText);
+
+    assert.deepEqual(await sortedNotes('sort: incomingCount\nsortOrder: desc'), ['C', 'A', 'B']);
+    assert.deepEqual(await sortedNotes('sort: incomingCount\nsortOrder: asc'), ['B', 'A', 'C']);
+    assert.deepEqual(await sortedNotes('sort: outgoingCount\nsortOrder: desc'), ['B', 'A', 'C']);
+
+    const byName = await sortedNotes('sort: name\nsortOrder: desc');
+    assert.deepEqual(await sortedNotes('sort: name\nsortOrder: asc'), [...byName].reverse());
+});
+
+test('the Markdown renderer writes one table row per note with linked cells', async () => {
+    const core = createCore({ 'A.md': '[[B]] [[Missing]]', 'B.md': '' });
+    const table = await generateMarkdown(core, 'fileType: all\nsort: name\ncol: name, outgoing, incoming, unresolved');
+    const rows = table.trim().split('\n');
+
+    assert.equal(rows.length, 4);
+    assert.match(rows[1], /^\|( --- \|)+$/);
+    assert.ok(rows.slice(2).some(row => row.includes('[[A]]') && row.includes('[[B]]') && row.includes('[[Missing]]')));
+});
+
+test('the unresolved column is only shown when asked for with col', async () => {
+    const core = createCore({ 'A.md': '[[B]] [[Missing]]', 'B.md': '' });
+
+    const [defaultHeader] = (await generateMarkdown(core, 'fileType: all')).trim().split('\n');
+    assert.ok(!defaultHeader.includes('❔ unresolved'));
+
+    const [header, , ...rows] = (await generateMarkdown(core, 'fileType: all\ncol: name, unresolved')).trim().split('\n');
+    assert.ok(header.includes('❔ unresolved'));
+    assert.ok(rows.some(row => row.includes('[[Missing]]')));
+});
+
+test('the link kinds column is only shown when asked for with col', async () => {
+    const core = createCore({ 'A.md': '[[B]] ![[C]]', 'B.md': '', 'C.md': '' });
+
+    const [defaultHeader] = (await generateMarkdown(core, 'fileType: all')).trim().split('\n');
+    assert.ok(!defaultHeader.includes('🧩 kinds'));
+
+    const [header, , ...rows] = (await generateMarkdown(core, 'fileType: all\ncol: name, outgoingKinds')).trim().split('\n');
+    assert.ok(header.includes('🧩 kinds'));
+    assert.ok(rows.some(row => row.includes('links: 1') && row.includes('embeds: 1')));
+});
+
+test('the HTML renderer builds a table of internal links', async () => {
+    const plugin = createPlugin({ 'A.md': '[[B]]', 'B.md': '' });
+    const containerEl = new FakeElement('div');
+    await plugin.analyzeLinks({ fileType: 'all', col: ['name', 'outgoing'] }, containerEl, '');
+
+    assert.equal(containerEl.findAll('th').length, 2);
+    assert.equal(containerEl.findAll('tr').length, 3);
+
+    const links = containerEl.findAll('a').map(link => link.attributes['data-href']);
+    assert.deepEqual(links.sort(), ['A', 'B', 'B']);
+});
+
+test('excludeCol may not exclude every column the table would show', async () => {
+    const core = createCore(LINK_KINDS_VAULT);
+    const defaultColumns = 'index, name, outgoingCount, incomingCount, outgoing, incoming';
+
+    await assert.rejects(analyze(core, `excludeCol: ${defaultColumns}`), /Cannot exclude all shown columns/);
+    await assert.rejects(analyze(core, 'col: name\nexcludeCol: name'), /Cannot exclude all shown columns/);
+
+    const { params } = await analyze(core, `col: name, pageRank\nexcludeCol: ${defaultColumns}`);
+    assert.deepEqual(core.getTableColumns(params.col, params.excludeCol), ['pageRank']);
+});
+
+test('betweenness is exact in small graphs and estimated closely in large ones', async () => {
+    const chain = count => Object.fromEntries(Array.from({ length: count }, (_, i) => [
+        `N${String(i).padStart(3, '0')}.md`,
+        i < count - 1 ? `[[N${String(i + 1).padStart(3, '0')}]]` : ''
+    ]));
+    // On a chain, note i lies on the paths from the i notes before it to the notes after it
+    const expected = (count, i) => i * (count - 1 - i) / ((count - 1) * (count - 2));
+
+    const small = await analyze(createCore(chain(5)), 'col: name, betweenness');
+    assert.equal(small.linkData.get('N002.md').metrics.betweenness, expected(5, 2));
+
+    const large = await analyze(createCore(chain(600)), 'col: name, betweenness');
+    for (const i of [100, 300, 500]) {
+        const estimate = large.linkData.get(`N${i}.md`).metrics.betweenness;
+        assert.ok(Math.abs(estimate - expected(600, i)) < 0.01, `N${i}: ${estimate}`);
+    }
+});
+
+test('weak clusters list the notes whose removal would split them', async () => {
+    const core = createCore({
+        'Hub.md': '[[A]] [[B]]',
+        'A.md': '[[A2]]',
+        'A2.md': '',
+        'B.md': '[[B2]] [[C]]',
+        'B2.md': '[[C]]',
+        'C.md': '',
+        'Alone.md': ''
+    });
+    const { params, linkData } = await analyze(core, 'fileType: all\nmode: clusters');
+    const { clusters } = await core.computeClusters(linkData, params.clusterBy, params.minClusterSize);
+
+    assert.deepEqual(clusters.map(cluster => cluster.connectingNotes), [['A.md', 'B.md', 'Hub.md'], []]);
+
+    const markdown = await generateMarkdown(core, 'fileType: all\nmode: clusters');
+    assert.match(markdown, /Connecting notes: \[\[A\]\], \[\[B\]\], \[\[Hub\]\]/);
+});
+
+test('depth reads only the neighborhood and reuses the backlinks between runs', async () => {
+    const core = createCore({
+        'Root.md': '[[Out]]',
+        'Out.md': '[[Far]]',
+        'Far.md': '',
+        'In.md': '[[Root]]',
+        'Other.md': '[[Far]]',
+        'Board.canvas': JSON.stringify({ nodes: [{ id: '1', type: 'file', file: 'Root.md' }], edges: [] }),
+        'Unrelated.canvas': JSON.stringify({ nodes: [{ id: '1', type: 'file', file: 'Other.md' }], edges: [] })
+    });
+    let getFilesDataCalls = 0;
+    const getFilesData = core.getFilesData.bind(core);
+    core.getFilesData = async stats => {
+        getFilesDataCalls++;
+        return getFilesData(stats);
+    };
+
+    const { linkData, neighborhood } = await analyze(core, 'fileType: all\ndepth: 1\nroot: Root\nlinkKinds: links, canvas');
+    assert.deepEqual(Array.from(linkData.keys()).sort(), ['Board.canvas', 'In.md', 'Out.md', 'Root.md']);
+    assert.equal(neighborhood.get('Board.canvas').direction, 'in');
+    assert.equal(getFilesDataCalls, 0);
+
+    const backlinks = core.getBacklinks();
+    await analyze(core, 'fileType: all\ndepth: 2\nroot: Root');
+    assert.equal(core.getBacklinks(), backlinks);
+
+    await core.app.vault.create('Late.md', '[[Root]]');
+    const { linkData: updated } = await analyze(core, 'fileType: all\ndepth: 1\nroot: Root');
+    assert.ok(updated.has('Late.md'));
+});
+
+test('exports of mode: clusters carry the cluster of each listed note', async () => {
+    const core = createCore({ 'A.md': '[[B]]', 'B.md': '', 'C.md': '[[D]] [[E]]', 'D.md': '', 'E.md': '', 'Alone.md': '' });
+    const { params, linkData } = await analyze(core, 'mode: clusters\nminClusterSize: 2');
+    const exportData = await core.prepareExportData(linkData, params);
+
+    const clusterOf = Object.fromEntries(Array.from(exportData, ([path, data]) => [path, data.metrics.cluster]));
+    assert.deepEqual(clusterOf, { 'A.md': 2, 'B.md': 2, 'C.md': 1, 'D.md': 1, 'E.md': 1 });
+    assert.equal(linkData.get('A.md').metrics?.cluster, undefined);
+
+    const csv = await core.generateCSV(exportData);
+    assert.match(csv.split('\r\n')[0], /,cluster$/);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { main } = require('../cli');
+
+// Writes a vault folder, given as { path: content }, to a temporary folder
+async function writeVault(t, files) {
+    const vaultPath = await fs.mkdtemp(path.join(os.tmpdir(), 'link-analyzer-'));
+    t.after(() => fs.rm(vaultPath, { recursive: true, force: true }));
+
+    for (const [filePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(vaultPath, filePath)), { recursive: true });
+        await fs.writeFile(path.join(vaultPath, filePath), content);
+    }
+
+    return vaultPath;
+}
+
+// Runs the command line report, returning its exit code and what it printed
+async function run(t, args) {
+    let stdout = '';
+    let stderr = '';
+    const write = t.mock.method(process.stdout, 'write', text => { stdout += text; return true; });
+    const error = t.mock.method(console, 'error', (...parts) => { stderr += `${parts.join(' ')}\n`; });
+
+    try {
+        const exitCode = await main(args);
+        return { exitCode, stdout, stderr };
+    } finally {
+        write.mock.restore();
+        error.mock.restore();
+    }
+}
+
+test('--failOn exits with 1 when a condition is met, 0 when none is and 2 for unknown conditions', async t => {
+    const linked = await writeVault(t, { 'A.md': '[[B]]', 'B.md': '[[A]]' });
+    const broken = await writeVault(t, { 'A.md': '[[B]] [[Missing]]', 'B.md': '', 'Alone.md': '' });
+
+    const passed = await run(t, [linked, '--failOn', 'orphans,unresolved']);
+    assert.equal(passed.exitCode, 0);
+    assert.equal(passed.stderr, '');
+
+    const failed = await run(t, [broken, '--failOn', 'orphans,unresolved']);
+    assert.equal(failed.exitCode, 1);
+    assert.match(failed.stderr, /1 note without links \(orphans\)\n {2}Alone\.md/);
+    assert.match(failed.stderr, /1 link to missing notes \(unresolved\)\n {2}A\.md → Missing/);
+
+    const invalid = await run(t, [linked, '--failOn', 'orphans,bogus']);
+    assert.equal(invalid.exitCode, 2);
+    assert.match(invalid.stderr, /--failOn: Invalid value 'bogus'/);
+    assert.equal(invalid.stdout, '');
+});
+
+test('--format json only writes the modes the JSON export supports', async t => {
+    const vaultPath = await writeVault(t, { 'A.md': '[[B]]', 'B.md': '' });
+
+    const rejected = await run(t, [vaultPath, '--format', 'json', '--mode', 'lint']);
+    assert.equal(rejected.exitCode, 2);
+    assert.match(rejected.stderr, /--mode: 'mode: lint' cannot be written as JSON\.\n {2}Allowed: table, clusters/);
+    assert.equal(rejected.stdout, '');
+
+    const written = await run(t, [vaultPath, '--format', 'json', '--mode', 'clusters']);
+    assert.equal(written.exitCode, 0);
+    assert.deepEqual(JSON.parse(written.stdout).nodes.map(node => node.path).sort(), ['A.md', 'B.md']);
+});
+
+test('Markdown links are read from the notes on disk, with or without angle brackets', async t => {
+    const vaultPath = await writeVault(t, {
+        'A.md': '[b](B.md), [c](<Sub Folder/With Space.md>) and [m](Missing.md)',
+        'B.md': '',
+        'Sub Folder/With Space.md': '',
+        '.obsidian/workspace.json': '{}'
+    });
+
+    const { exitCode, stdout } = await run(t, [vaultPath, '--format', 'json', '--fileType', 'all']);
+    assert.equal(exitCode, 0);
+
+    const nodes = new Map(JSON.parse(stdout).nodes.map(node => [node.path, node]));
+    assert.deepEqual(Array.from(nodes.keys()).sort(), ['A.md', 'B.md', 'Sub Folder/With Space.md']);
+    assert.deepEqual(nodes.get('A.md').outgoing, ['B.md', 'Sub Folder/With Space.md']);
+    assert.deepEqual(nodes.get('A.md').unresolved, ['Missing.md']);
+    assert.deepEqual(nodes.get('Sub Folder/With Space.md').incoming, ['A.md']);
+});
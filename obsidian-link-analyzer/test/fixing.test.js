@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCore, analyze } = require('./helpers');
+
+// Plans the batch fixes the "Fix Ambiguous Links" command would show
+async function planFixes(core) {
+    const { params, linkData, fileNameMap } = await analyze(core, 'mode: lint\nlintRules: unresolved, ambiguous');
+    const lintData = await core.lintLinkData(linkData, fileNameMap, params);
+    return core.planLinkFixes(lintData);
+}
+
+test('batch fixes leave unresolved links alone and name the closest match', async () => {
+    const core = createCore({
+        'Daily/2023-01-04.md': '',
+        'Log.md': 'See [[2023-01-05]] and [[Nowhere at all]].'
+    });
+    const { changes, skipped } = await planFixes(core);
+
+    assert.deepEqual(changes, []);
+    assert.deepEqual(skipped.map(({ link, reason }) => [link, reason]), [
+        ['2023-01-05', 'unresolved, closest match: Daily/2023-01-04.md'],
+        ['Nowhere at all', 'unresolved, no close match']
+    ]);
+});
+
+test('batch fixes give ambiguous links the full path they resolve to now', async () => {
+    const core = createCore({
+        'Projects/Note.md': '',
+        'Archive/Note.md': '',
+        'Projects/Index.md': 'See [[Note]].'
+    });
+    const { changes } = await planFixes(core);
+
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].path, 'Projects/Index.md');
+    assert.equal(changes[0].after, 'See [[Projects/Note|Note]].');
+});
+
+test('links differing only in case from notes sharing a name are ambiguous', async () => {
+    const core = createCore({
+        'Projects/Dup.md': '',
+        'Archive/dup.md': '',
+        'Index.md': 'See [[dup]] and [[DUP.md]].'
+    });
+    const { params, linkData, fileNameMap } = await analyze(core, 'mode: lint\nlintRules: ambiguous');
+    const lintData = await core.lintLinkData(linkData, fileNameMap, params);
+
+    assert.deepEqual(lintData.get('ambiguous').map(({ link, count }) => [link, count]).sort(), [['DUP.md', 2], ['dup', 2]]);
+});
+
+test('undoing a created note moves it to the trash', async t => {
+    const core = createCore({ 'Index.md': 'See [[Missing]].' });
+    const trashFile = t.mock.method(core.app.fileManager, 'trashFile');
+
+    const create = await core.planNoteCreation('Missing', 'Index.md');
+    const applied = await core.applyLinkFixes([create]);
+    assert.equal(applied.length, 1);
+    assert.ok(core.app.vault.getAbstractFileByPath('Missing.md'));
+
+    assert.deepEqual(await core.revertLinkFixes(applied), []);
+    assert.equal(core.app.vault.getAbstractFileByPath('Missing.md'), null);
+    assert.deepEqual(trashFile.mock.calls.map(call => call.arguments[0].path), ['Missing.md']);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createInMemoryApp } = require('../headless');
+
+test('links resolve by path, by name and relative to the source note', () => {
+    const { metadataCache } = createInMemoryApp({
+        'Projects/2024/Plan.md': '',
+        'Projects/Plan.md': '',
+        'Image.png': ''
+    });
+
+    assert.equal(metadataCache.getFirstLinkpathDest('projects/2024/plan', '').path, 'Projects/2024/Plan.md');
+    assert.equal(metadataCache.getFirstLinkpathDest('2024/Plan', '').path, 'Projects/2024/Plan.md');
+    assert.equal(metadataCache.getFirstLinkpathDest('Plan', 'Projects/2024/Other.md').path, 'Projects/2024/Plan.md');
+    assert.equal(metadataCache.getFirstLinkpathDest('Plan', '').path, 'Projects/Plan.md');
+    assert.equal(metadataCache.getFirstLinkpathDest('../Plan', 'Projects/2024/Other.md').path, 'Projects/Plan.md');
+    assert.equal(metadataCache.getFirstLinkpathDest('image.png', '').path, 'Image.png');
+    assert.equal(metadataCache.getFirstLinkpathDest('Missing', ''), null);
+});
+
+test('links and link counts follow changes to the vault', async () => {
+    const { vault, metadataCache } = createInMemoryApp({ 'A.md': '[[B]] [[C]]', 'B.md': '' });
+
+    assert.deepEqual(metadataCache.resolvedLinks['A.md'], { 'B.md': 1 });
+    assert.deepEqual(metadataCache.unresolvedLinks['A.md'], { C: 1 });
+
+    const fileC = await vault.create('C.md', '');
+    assert.deepEqual(metadataCache.resolvedLinks['A.md'], { 'B.md': 1, 'C.md': 1 });
+
+    await vault.delete(vault.getAbstractFileByPath('B.md'));
+    assert.equal(metadataCache.getFirstLinkpathDest('B', ''), null);
+    assert.deepEqual(metadataCache.unresolvedLinks['A.md'], { B: 1 });
+
+    await vault.modify(fileC, '[[A]]');
+    assert.deepEqual(metadataCache.resolvedLinks['C.md'], { 'A.md': 1 });
+});
@@ -0,0 +1,123 @@
+// Shared setup for the tests: a core over an in-memory vault, and a minimal DOM for the plugin's renderers
+
+const LinkAnalyzer = require('../main');
+const { LinkAnalysisCore, Diagnostics, DEFAULT_SETTINGS } = LinkAnalyzer;
+const { createInMemoryApp } = require('../headless');
+
+// A core over a fixture vault, given as { path: content }
+function createCore(files, settings = {}) {
+    const app = createInMemoryApp(files);
+    return new LinkAnalysisCore(app, { ...DEFAULT_SETTINGS, ...settings });
+}
+
+// Runs a code block source the way a rendered block does; throws with the problems if the parameters are invalid
+async function analyze(core, source = '', currentFile = null) {
+    const diagnostics = new Diagnostics();
+    const params = await core.parseParams(source, diagnostics);
+    await core.validateParams(params, diagnostics);
+
+    const analysis = diagnostics.hasProblems() ? null : await core.runAnalysis(params, currentFile, diagnostics);
+    if (!analysis) {
+        throw new Error(diagnostics.getSortedProblems().map(problem => problem.message).join('\n'));
+    }
+
+    return { params, ...analysis };
+}
+
+// The Markdown an editor command inserts for a code block source
+async function generateMarkdown(core, source = '') {
+    const { params, ...analysis } = await analyze(core, source);
+    return core.generateMarkdownOutput(params, analysis);
+}
+
+/**
+ * Element with the DOM helpers Obsidian adds (createEl, createDiv, createSpan, empty, setText, ...).
+ * Text is only ever stored as text; setting innerHTML throws, so a renderer building markup from strings fails the tests.
+ */
+class FakeElement {
+    constructor(tag, { cls, text, attr, href, type, placeholder } = {}) {
+        this.tagName = tag.toUpperCase();
+        this.children = [];
+        this.classList = new Set(cls ? String(cls).split(' ').filter(Boolean) : []);
+        this.attributes = { ...attr };
+        this.listeners = {};
+        if (href !== undefined) this.attributes.href = href;
+        if (type !== undefined) this.attributes.type = type;
+        if (placeholder !== undefined) this.attributes.placeholder = placeholder;
+        if (text !== undefined) this.appendText(text);
+    }
+
+    set innerHTML(html) {
+        throw new Error(`innerHTML was set to: ${html}`);
+    }
+
+    get textContent() {
+        return this.children.map(child => typeof child === 'string' ? child : child.textContent).join('');
+    }
+
+    createEl(tag, options = {}) {
+        const element = new FakeElement(tag, typeof options === 'string' ? { cls: options } : options);
+        element.parentElement = this;
+        this.children.push(element);
+        return element;
+    }
+
+    createDiv(options) {
+        return this.createEl('div', options);
+    }
+
+    createSpan(options) {
+        return this.createEl('span', options);
+    }
+
+    appendText(text) {
+        this.children.push(String(text));
+    }
+
+    setText(text) {
+        this.children = [String(text)];
+    }
+
+    empty() {
+        this.children = [];
+    }
+
+    addClass(...classes) {
+        classes.forEach(cls => this.classList.add(cls));
+    }
+
+    removeClass(...classes) {
+        classes.forEach(cls => this.classList.delete(cls));
+    }
+
+    hasClass(cls) {
+        return this.classList.has(cls);
+    }
+
+    setAttr(name, value) {
+        this.attributes[name] = value;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    // Elements below this one with the tag, in document order
+    findAll(tag) {
+        return this.children
+            .filter(child => typeof child !== 'string')
+            .flatMap(child => [...(child.tagName === tag.toUpperCase() ? [child] : []), ...child.findAll(tag)]);
+    }
+}
+
+// A plugin over a fixture vault with its core set up, without loading settings or registering anything
+function createPlugin(files, settings = {}) {
+    const core = createCore(files, settings);
+    const plugin = new LinkAnalyzer(core.app, {});
+    plugin.settings = core.settings;
+    plugin.core = core;
+    plugin.hoverParent = { hoverPopover: null };
+    return plugin;
+}
+
+module.exports = { createCore, analyze, generateMarkdown, createPlugin, FakeElement };
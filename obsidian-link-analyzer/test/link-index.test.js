@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCore, analyze } = require('./helpers');
+
+// Indexes the vault the way a rendered block does, then returns the indexed paths
+async function indexVault(core) {
+    await analyze(core, 'fileType: all');
+    return Array.from(core.linkIndex.entries.keys()).sort();
+}
+
+test('adding a file only drops the entries with links by its name', async () => {
+    const core = createCore({
+        'A.md': '[[Missing]]',
+        'B.md': '[[Note]]',
+        'Projects/Note.md': '',
+        'C.md': '[[A]]'
+    });
+    assert.deepEqual(await indexVault(core), ['A.md', 'B.md', 'C.md', 'Projects/Note.md']);
+
+    await core.app.vault.create('missing.md', '');
+    await core.app.vault.create('Archive/Note.md', '');
+    await core.linkIndex.validateStructure(core.app.vault.getFiles());
+
+    assert.deepEqual(Array.from(core.linkIndex.entries.keys()).sort(), ['C.md', 'Projects/Note.md']);
+});
+
+test('removing a file drops its entry and the entries linking to it', async () => {
+    const core = createCore({
+        'A.md': '[[B]]',
+        'B.md': '[[C]]',
+        'C.md': ''
+    });
+    await indexVault(core);
+
+    await core.app.vault.delete(core.app.vault.getAbstractFileByPath('B.md'));
+    await core.linkIndex.validateStructure(core.app.vault.getFiles());
+
+    assert.deepEqual(Array.from(core.linkIndex.entries.keys()).sort(), ['C.md']);
+});
+
+test('dropped entries are indexed again with the new resolution', async () => {
+    const core = createCore({
+        'A.md': '[[Later]]'
+    });
+    const { linkData: before } = await analyze(core, 'fileType: all');
+    assert.deepEqual(Array.from(before.get('A.md').unresolved), ['Later']);
+
+    await core.app.vault.create('Later.md', '');
+    const { linkData: after } = await analyze(core, 'fileType: all');
+    assert.deepEqual(Array.from(after.get('A.md').outgoing), ['Later.md']);
+});
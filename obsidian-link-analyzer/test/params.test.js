@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Diagnostics } = require('../main');
+const { createCore, analyze } = require('./helpers');
+
+// Parses a code block source, returning the parameters and the problems as 'line: message'
+const parse = async source => {
+    const diagnostics = new Diagnostics();
+    const params = await createCore({}).parseParams(source, diagnostics);
+    return { params, problems: diagnostics.getSortedProblems().map(problem => `${problem.line}: ${problem.message}`) };
+};
+
+test('comma-separated values keep working as lists', async () => {
+    const { params, problems } = await parse('paths: folder1/, folder2/, note.md\ntags: #a, #b, -#c\nexcludeCol: outgoing,incoming');
+    assert.deepEqual(problems, []);
+    assert.deepEqual(params.paths, ['folder1/', 'folder2/', 'note.md']);
+    assert.deepEqual(params.tags, ['a', 'b', '-c']);
+    assert.deepEqual(params.excludeCol, ['outgoing', 'incoming']);
+});
+
+test('quoted values and quoted list items keep their commas', async () => {
+    const { params, problems } = await parse(`paths: "a,b/", 'c,d/', e/\ncol: "name"\nwhere: "title = It's, here"`);
+    assert.deepEqual(problems, []);
+    assert.deepEqual(params.paths, ['a,b/', 'c,d/', 'e/']);
+    assert.deepEqual(params.col, ['name']);
+    assert.deepEqual(params.where, ["title = It's, here"]);
+});
+
+test('a quote inside a value does not start a quoted value', async () => {
+    const { params, problems } = await parse("paths: Bob's notes/, Anna's/\nroot: Bob's note");
+    assert.deepEqual(problems, []);
+    assert.deepEqual(params.paths, ["Bob's notes/", "Anna's/"]);
+    assert.equal(params.root, "Bob's note");
+});
+
+test('a regular expression list item keeps its commas', async () => {
+    const { params, problems } = await parse('paths: /a{1,3}/, Projects/, /20\\d{2},\\d+/i');
+    assert.deepEqual(problems, []);
+    assert.deepEqual(params.paths, ['/a{1,3}/', 'Projects/', '/20\\d{2},\\d+/i']);
+});
+
+test('flow lists and indented block lists give the same list', async () => {
+    const flow = await parse('paths: [folder1/, "folder,2/", /x{1,2}/]');
+    const block = await parse('paths:\n  - folder1/\n  - "folder,2/"\n\n  - /x{1,2}/');
+    assert.deepEqual(flow.problems, []);
+    assert.deepEqual(block.problems, []);
+    assert.deepEqual(flow.params.paths, ['folder1/', 'folder,2/', '/x{1,2}/']);
+    assert.deepEqual(block.params.paths, flow.params.paths);
+});
+
+test('where accepts an object of indented property lines', async () => {
+    const { params, problems } = await parse('where:\n  status: active\n  priority: ">= 2"\nshowStats: true');
+    assert.deepEqual(problems, []);
+    assert.deepEqual(params.where, ['status = active', 'priority >= 2']);
+    assert.equal(params.showStats, true);
+});
+
+test('comments are left out of values, but not out of quotes or tags', async () => {
+    const { params, problems } = await parse([
+        '# the notes to analyze',
+        'paths: a/ # only this folder',
+        'tags: #a, #b',
+        'col:',
+        '  # the name first',
+        '  - name # the note',
+        '  - "incoming # links"',
+        'depth: 2 #',
+        'root: "Note # 1"'
+    ].join('\n'));
+    assert.deepEqual(problems, []);
+    assert.deepEqual(params.paths, ['a/']);
+    assert.deepEqual(params.tags, ['a', 'b']);
+    assert.deepEqual(params.col, ['name', 'incoming # links']);
+    assert.equal(params.depth, 2);
+    assert.equal(params.root, 'Note # 1');
+});
+
+test('from, to and root accept wikilinks', async () => {
+    const { params, problems } = await parse('from: [[A]]\nto: [[Folder/C|see C]]\nroot: [[B#Heading]]');
+    assert.deepEqual(problems, []);
+    assert.equal(params.from, '[[A]]');
+    assert.equal(params.to, '[[Folder/C|see C]]');
+    assert.equal(params.root, '[[B#Heading]]');
+
+    const core = createCore({ 'A.md': '[[B]]', 'B.md': '[[Folder/C]]', 'Folder/C.md': '' });
+    const { pathEnds } = await analyze(core, 'mode: path\nfrom: [[A]]\nto: [[C]]');
+    assert.equal(pathEnds.from.path, 'A.md');
+    assert.equal(pathEnds.to.path, 'Folder/C.md');
+
+    const { neighborhood } = await analyze(core, 'fileType: all\ndepth: 1\nroot: [[B]]');
+    assert.ok(neighborhood);
+});
+
+test('problems are reported with the line they are on', async () => {
+    const { problems } = await parse([
+        'mode: table',
+        'bogus: 1',
+        '  - stray',
+        'depth: two',
+        'paths: "unclosed',
+        'col:',
+        '  - name',
+        '  oops',
+        'showStats: maybe',
+        'from: [a, b]'
+    ].join('\n'));
+    assert.deepEqual(problems, [
+        "2: Unknown parameter 'bogus'.",
+        "3: Unexpected indentation. Nested lines must follow a 'key:' line with no value.",
+        "4: Invalid value for 'depth': expected a number, got \"two\".",
+        '5: Missing closing " in "unclosed',
+        "8: Expected '- item' in the list for 'col'.",
+        "9: Invalid value for 'showStats': expected true or false, got \"maybe\".",
+        "10: Invalid value for 'from': expected a single value, got a list."
+    ]);
+});
+
+test('a list item with an unclosed quote is a problem', async () => {
+    const { problems } = await parse('paths: a/, "b/');
+    assert.deepEqual(problems, ['1: Invalid value for \'paths\': Missing closing " in a/, "b/']);
+});
+
+test('text after a closing quote is a problem', async () => {
+    const { problems } = await parse('root: "a" b\npaths: "a, b" c, d');
+    assert.deepEqual(problems, [
+        '1: Unexpected text after the closing " in "a" b',
+        '2: Unexpected text after the closing " in "a, b" c'
+    ]);
+});
+
+test('invalid values are recorded as problems and not written to the console', async t => {
+    const consoleError = t.mock.method(console, 'error', () => {});
+    const core = createCore({ 'A.md': '' });
+
+    await assert.rejects(analyze(core, 'sort: bogus\nmode: nothing'), /Invalid value for 'sort': bogus\.\nInvalid value for 'mode': nothing\./);
+    assert.equal(consoleError.mock.callCount(), 0);
+});
+
+test('a parameter that could not be read is not also reported as missing', async () => {
+    const core = createCore({ 'A.md': '' });
+
+    await assert.rejects(analyze(core, 'mode: path\nto: [a, b]'), error => {
+        assert.equal(error.message, "Invalid value for 'to': expected a single value, got a list.");
+        return true;
+    });
+    await assert.rejects(analyze(core, 'mode: path'), /Missing 'to' parameter/);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCore, analyze } = require('./helpers');
+
+// Nested folders with notes sharing names across levels
+const NESTED_VAULT = {
+    'Projects/Plan.md': '',
+    'Projects/2024/Q1/Plan.md': '',
+    'Projects/2024/Weekly Meeting.md': '',
+    'Projects/Archive/Old.md': '',
+    'Projects Extra/Plan.md': '',
+    'Daily/2024-01-01.md': '',
+    'Daily/2023-12-31.md': '',
+    'Meeting notes.md': ''
+};
+
+const notesFor = async (core, paths) => {
+    const { linkData } = await analyze(core, `fileType: all\npaths: ${paths}`);
+    return Array.from(linkData.keys()).sort();
+};
+
+test('a folder entry matches its subfolders but not folders sharing its prefix', async () => {
+    const core = createCore(NESTED_VAULT);
+    assert.deepEqual(await notesFor(core, 'Projects/'), [
+        'Projects/2024/Q1/Plan.md',
+        'Projects/2024/Weekly Meeting.md',
+        'Projects/Archive/Old.md',
+        'Projects/Plan.md'
+    ]);
+});
+
+test('a folder entry with a leading slash is a folder, not a regular expression', async () => {
+    const core = createCore(NESTED_VAULT);
+    assert.deepEqual(await notesFor(core, '/Projects/'), await notesFor(core, 'Projects/'));
+    assert.deepEqual(await notesFor(core, '/Projects/2024/'), [
+        'Projects/2024/Q1/Plan.md',
+        'Projects/2024/Weekly Meeting.md'
+    ]);
+});
+
+test('globs span folders with ** and match file names without /', async () => {
+    const core = createCore(NESTED_VAULT);
+    assert.deepEqual(await notesFor(core, 'Projects/**/*.md'), [
+        'Projects/2024/Q1/Plan.md',
+        'Projects/2024/Weekly Meeting.md',
+        'Projects/Archive/Old.md',
+        'Projects/Plan.md'
+    ]);
+    assert.deepEqual(await notesFor(core, '*Meeting*'), ['Meeting notes.md', 'Projects/2024/Weekly Meeting.md']);
+});
+
+test('regular expressions test the full path', async () => {
+    const core = createCore(NESTED_VAULT);
+    assert.deepEqual(await notesFor(core, '/^daily\\/2024-/i'), ['Daily/2024-01-01.md']);
+});
+
+test('excluded nested folders are removed from the included ones', async () => {
+    const core = createCore(NESTED_VAULT);
+    assert.deepEqual(await notesFor(core, 'Projects/, -Projects/2024/Q1/, -/Projects/Archive/'), [
+        'Projects/2024/Weekly Meeting.md',
+        'Projects/Plan.md'
+    ]);
+});
+
+test('the path matcher cache stays bounded', async () => {
+    const core = createCore(NESTED_VAULT);
+    for (let i = 0; i < 250; i++) {
+        core.isPathTargeted('Projects/Plan.md', [`Folder ${i}/`]);
+    }
+    assert.ok(core.pathMatcherCache.size <= 100);
+    assert.equal(core.isPathTargeted('Projects/Plan.md', ['Projects/']), true);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPlugin, generateMarkdown, createCore, FakeElement } = require('./helpers');
+
+// Names that break markup when they are pasted into HTML strings
+const HOSTILE_NAMES = ['<img src=x onerror=alert(1)>', '"quoted" & \'single\'', '<svg onload=alert(1)>'];
+
+const createHostileVault = () => Object.fromEntries([
+    ['Index.md', HOSTILE_NAMES.map(name => `[[${name}]]`).join(' ')],
+    ...HOSTILE_NAMES.map(name => [`${name}.md`, '[[Index]]'])
+]);
+
+const linkTextsOf = containerEl => containerEl.findAll('a').map(link => link.textContent);
+
+test('hostile note names render as text in the rendered table', async () => {
+    const plugin = createPlugin(createHostileVault());
+    const containerEl = new FakeElement('div');
+
+    await plugin.analyzeLinks({ fileType: 'all', showStats: true }, containerEl, 'Index.md');
+    assert.ok(containerEl.findAll('input').length > 0, 'the interactive table is rendered');
+
+    for (const tag of ['img', 'svg', 'script']) {
+        assert.equal(containerEl.findAll(tag).length, 0, `no <${tag}> element is created`);
+    }
+
+    for (const name of HOSTILE_NAMES) {
+        assert.ok(linkTextsOf(containerEl).includes(name), `${name} is shown as written`);
+        assert.ok(containerEl.findAll('a').some(link => link.attributes['data-href'] === name), `${name} is the link target`);
+    }
+});
+
+test('hostile note names render as text in the other reports', async () => {
+    const plugin = createPlugin({ ...createHostileVault(), 'Other.md': '[[<script>alert(1)</script>]]' });
+
+    for (const params of [{ mode: 'unresolved' }, { mode: 'clusters' }, { mode: 'lint' }, { depth: 1, root: 'Index' }]) {
+        const containerEl = new FakeElement('div');
+        await plugin.analyzeLinks(params, containerEl, 'Index.md');
+
+        assert.equal(containerEl.findAll('img').length + containerEl.findAll('script').length, 0, JSON.stringify(params));
+        assert.ok(linkTextsOf(containerEl).some(text => HOSTILE_NAMES.includes(text) || text.includes('<script>')), JSON.stringify(params));
+    }
+});
+
+test('hostile parameter values are shown as text in the problems list', async () => {
+    const plugin = createPlugin({ 'A.md': '' });
+    const containerEl = new FakeElement('div');
+
+    await plugin.analyzeLinks({ sort: '<img src=x onerror=alert(1)>' }, containerEl, 'A.md');
+
+    assert.equal(containerEl.findAll('img').length, 0);
+    assert.match(containerEl.textContent, /Invalid value for 'sort': <img src=x onerror=alert\(1\)>/);
+});
+
+test('names with table and link syntax keep the Markdown table intact', async () => {
+    const core = createCore({
+        'Index.md': '[[A|B]] [Bracket](Bracket%20%5Bx%5D.md)',
+        'A.md': '',
+        'Bracket [x].md': '[[Index]]'
+    });
+
+    const table = await generateMarkdown(core, 'fileType: all\ncol: name, outgoing, incoming');
+    const rows = table.trim().split('\n');
+    const cellCounts = rows.map(row => row.split(/(?<!\\)\|/).length);
+
+    assert.ok(cellCounts.every(count => count === cellCounts[0]), table);
+    assert.match(table, /\[Bracket \\\[x\\\]\]\(Bracket%20%5Bx%5D\.md\)/);
+});
+
+test('cluster and neighborhood tables keep their filter and sorting when the block renders again', async () => {
+    const plugin = createPlugin({ 'A.md': '[[B]] [[C]]', 'B.md': '', 'C.md': '', 'D.md': '[[E]]', 'E.md': '' });
+    const tableStates = new Map();
+    const renderChild = {
+        getTableState: key => tableStates.get(key) || tableStates.set(key, {}).get(key),
+        setGraph: () => {}
+    };
+
+    for (const params of [{ mode: 'clusters', col: ['name'] }, { depth: 1, root: 'A', col: ['name'] }]) {
+        tableStates.clear();
+        const el = new FakeElement('div');
+        await plugin.analyzeLinks(params, el, 'A.md', renderChild);
+
+        const filterInput = el.findAll('input').find(input => input.attributes.type === 'search');
+        filterInput.value = 'c';
+        filterInput.listeners.input.forEach(listener => listener());
+        el.findAll('th')[0].listeners.click.forEach(listener => listener());
+
+        await plugin.analyzeLinks(params, el, 'A.md', renderChild);
+
+        const rerenderedInput = el.findAll('input').find(input => input.attributes.type === 'search');
+        assert.equal(rerenderedInput.value, 'c', params.mode);
+        assert.ok(el.findAll('th')[0].hasClass('is-sorted-asc'), params.mode);
+        assert.ok(el.findAll('td').length > 0);
+    }
+});
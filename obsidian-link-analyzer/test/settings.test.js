@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LinkAnalyzer = require('../main');
+const { LinkIndex } = LinkAnalyzer;
+const { createPlugin } = require('./helpers');
+
+// A plugin whose data.json is an object written after a delay, so overlapping writes can be observed
+function createPluginWithData(savedData) {
+    const plugin = createPlugin({ 'A.md': '' });
+    const writes = [];
+
+    plugin.codeBlocks = new Set();
+    plugin.requestRenderAfterSettingsChange = () => {};
+    plugin.loadData = async () => savedData;
+    plugin.saveData = async data => {
+        writes.push('start');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        savedData = JSON.parse(JSON.stringify(data));
+        writes.push('end');
+    };
+
+    return { plugin, writes, getSavedData: () => savedData };
+}
+
+test('settings and link index saved at the same time both end up in the data', async () => {
+    const { plugin, writes, getSavedData } = createPluginWithData({ settings: { pageSize: 20 }, linkIndex: null });
+    await plugin.loadSettings();
+    await plugin.loadLinkIndex();
+    assert.equal(plugin.settings.pageSize, 20);
+
+    plugin.settings.pageSize = 30;
+    await plugin.linkIndex.set({ path: 'A.md', stat: { mtime: 1 } }, {});
+    await Promise.all([plugin.saveSettings(), plugin.saveLinkIndex()]);
+
+    assert.deepEqual(writes, ['start', 'end', 'start', 'end']);
+    assert.equal(getSavedData().settings.pageSize, 30);
+    assert.deepEqual(Object.keys(getSavedData().linkIndex.entries), ['A.md']);
+    assert.equal(new LinkIndex(getSavedData().linkIndex).entries.size, 1);
+});
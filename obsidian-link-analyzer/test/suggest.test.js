@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCore, analyze } = require('./helpers');
+
+async function suggest(core, source = 'mode: suggest') {
+    const { params, linkData } = await analyze(core, `fileType: all\n${source}`);
+    return core.suggestLinks(linkData, params);
+}
+
+const mentionsOf = (suggestData, path) => suggestData.get(path).mentions.map(({ path, text }) => [path, text]);
+
+test('plain text mentions of a name or alias are suggested, links, code and tags are not', async () => {
+    const core = createCore({
+        'Project.md': '---\naliases: [The Plan]\n---\n',
+        'Notes.md': 'Working on the project today, see the plan: the plan.',
+        'Tagged.md': 'Filed under #project and #work/project.',
+        'Code.md': 'Run `project` or see https://example.com/project.',
+        'Linked.md': 'See [[Project]], the project.'
+    });
+    const suggestData = await suggest(core, 'mode: suggest\nmaxIncoming: 1');
+
+    assert.deepEqual(mentionsOf(suggestData, 'Project.md'), [['Notes.md', 'project']]);
+});
+
+test('overlapping names are matched once, as the longest name', async () => {
+    const core = createCore({
+        'Alpha.md': '',
+        'Project Alpha.md': '',
+        'Notes.md': 'Project Alpha is late. Alpha too.'
+    });
+    const suggestData = await suggest(core);
+
+    assert.deepEqual(mentionsOf(suggestData, 'Project Alpha.md'), [['Notes.md', 'Project Alpha']]);
+    assert.deepEqual(mentionsOf(suggestData, 'Alpha.md'), [['Notes.md', 'Alpha']]);
+    assert.equal(suggestData.get('Alpha.md').mentions[0].offset, 23);
+});
+
+test('notes sharing a tag are suggested, most shared tags first', async () => {
+    const core = createCore({
+        'Target.md': '#a #b',
+        'One.md': '#a',
+        'Two.md': '#a #b',
+        'None.md': '#c'
+    });
+    const suggestData = await suggest(core);
+
+    assert.deepEqual(suggestData.get('Target.md').sharedTags, [
+        { path: 'Two.md', tags: ['#a', '#b'] },
+        { path: 'One.md', tags: ['#a'] }
+    ]);
+});